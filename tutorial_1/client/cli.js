@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+// Command-line client for the Order Book Game, built on gameclient.js.
+// Usage: node cli.js <command> [args] [--url URL] [--room ROOM] [--token TOKEN] [--name NAME] [--contract ID]
+// Defaults come from ORDERBOOK_URL, ORDERBOOK_ROOM, ORDERBOOK_TOKEN and ORDERBOOK_NAME. Run with no
+// command for the list.
+
+const fs = require('fs');
+const { createClient, sortedBook, currentPlayer } = require('./gameclient');
+
+const USAGE = `Usage: node cli.js <command> [args] [options]
+
+Player commands (--token and --name are the player's, from join):
+  join <name> <count>           register and print the session token
+  bid <price> [size]            limit bid (--type ioc|fok|postOnly for other order types)
+  ask <price> [size]            limit ask
+  quote <bid> <ask> [size]      bid and ask in one go (in turn mode only the first counts as your turn)
+  buy [size]                    market buy
+  sell [size]                   market sell
+  amend <orderId> [--price P] [--size S]
+  cancel <orderId>
+  cancel-all                    cancel your orders (--contract for one contract only)
+  book                          print the order book
+  watch                         live order book, redrawn on every change (Ctrl+C to quit)
+  pnl                           realized and unrealized P&L per player
+  state                         full game state as JSON
+
+Admin commands (--token is the admin token):
+  import <csv>                  add players from a name,sibling_count CSV (header line optional)
+  turns [name...]               set the turn order (default: every player) and start turn mode
+  stop-turns                    stop turn mode
+  give-turn <name>              make it <name>'s turn
+  reveal <name>                 show or hide <name>'s sibling count
+  schedule <trigger> <n>        reveal a random player every n turns (turns), in n minutes (time) or once
+                                n contracts have traded (volume); --effect hint publishes a hint instead
+  unschedule <ruleId>           remove a reveal rule
+  news <text>                   public message to every player
+  hint <name> [atLeast|atMost <n>]  true hint about <name>'s count (random if no bound is given)
+  auction                       start a call auction (orders collect without trading)
+  continuous                    back to continuous trading (uncrosses the auction first)
+  uncross                       fill every crossing order at one clearing price
+  settle [contract]             settle one contract (default: every open contract)
+  reset                         reset the game
+  export <kind>                 trades, orders, priceHistory, pnl, leaderboard or tournament (--format csv, --round N)
+  undo [count]                  undo the last count admin actions (default 1; the oldest must be a reset, settlement, round or rule change)
+
+Options:
+  --url URL         server address (default http://localhost:8080)
+  --room ROOM       room name (default main)
+  --token TOKEN     player or admin token
+  --name NAME       your player name
+  --contract ID     contract to trade or show (default main)
+  --type TYPE       order type for bid/ask
+  --format FORMAT   json or csv for export
+  --round N         finished tournament round to export (default the current one)
+  --effect EFFECT   reveal (default) or hint for schedule
+`;
+
+// Splits argv into positional arguments and --key value options
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) options[argv[i].slice(2)] = argv[++i];
+    else args.push(argv[i]);
+  }
+  return { args, options };
+}
+
+function number(value, what) {
+  const n = Number(value);
+  if (value === undefined || !Number.isFinite(n)) throw new Error(`${what} must be a number`);
+  return n;
+}
+
+function size(value) {
+  return value === undefined ? 1 : number(value, 'Size');
+}
+
+function formatOrder(o) {
+  return `#${String(o.id).padEnd(5)} ${o.player.padEnd(16)} ${String(o.size).padStart(4)} @ ${o.price}`;
+}
+
+// Asks above bids, best prices next to each other
+function formatBook(state, contractId) {
+  const contract = state.contracts[contractId];
+  if (!contract) return `Unknown contract ${contractId}`;
+  const { bids, asks } = sortedBook(contract);
+  const lines = [`${contract.name} (${contractId})${contract.settledPrice !== null ? ` - settled at ${contract.settledPrice}` : ''}`];
+  if (contract.mode === 'auction') {
+    const ind = contract.indicative;
+    lines.push(`  CALL AUCTION - ${ind ? `indicative ${ind.volume} @ ${ind.price} (surplus ${ind.surplus})` : 'nothing crosses yet'}`);
+  }
+  lines.push('  ASKS');
+  for (const o of [...asks].reverse()) lines.push(`    ${formatOrder(o)}`);
+  if (!asks.length) lines.push('    (none)');
+  lines.push('  BIDS');
+  for (const o of bids) lines.push(`    ${formatOrder(o)}`);
+  if (!bids.length) lines.push('    (none)');
+  const last = contract.trades[contract.trades.length - 1];
+  if (last) lines.push(`  Last trade: ${last.size} @ ${last.price} (${last.buyer} buys from ${last.seller})`);
+  const turn = currentPlayer(state);
+  if (turn) lines.push(`  Turn: ${turn}`);
+  return lines.join('\n');
+}
+
+function print(value) {
+  console.log(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+}
+
+// name,sibling_count rows; a first line that is not a player (no numeric count) is taken as the header
+function readPlayersCSV(file) {
+  const rows = fs.readFileSync(file, 'utf8').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const players = [];
+  rows.forEach((line, i) => {
+    const [name, count] = line.split(',').map(cell => cell.trim());
+    if (i === 0 && !/^\d+$/.test(count || '')) return;
+    if (!name || !/^\d+$/.test(count || '')) throw new Error(`Line ${i + 1}: expected name,sibling_count`);
+    players.push({ name, count: Number(count) });
+  });
+  return players;
+}
+
+async function run(command, args, options, game) {
+  const contractId = options.contract;
+  const orderOptions = { contractId, orderType: options.type };
+
+  switch (command) {
+    // --- Player commands ---
+    case 'join': {
+      const [name, count] = args;
+      if (!name) throw new Error('Usage: join <name> <count>');
+      const reply = await game.join(name, number(count, 'Sibling count'));
+      // With an admin token the player is only added (no session token): the admin token stays in use
+      if (!reply.token) return print(`Added ${name} (no session token issued - keep your current token)`);
+      print(`Joined as ${name}. To keep using this player:`);
+      print(`  export ORDERBOOK_NAME=${JSON.stringify(name)} ORDERBOOK_TOKEN=${reply.token}`);
+      return;
+    }
+    case 'bid':
+    case 'ask':
+      return print(await game.limit(command, number(args[0], 'Price'), size(args[1]), orderOptions));
+    case 'quote': {
+      const bid = number(args[0], 'Bid price');
+      const ask = number(args[1], 'Ask price');
+      if (bid >= ask) throw new Error('Bid must be below ask');
+      print(await game.limit('bid', bid, size(args[2]), orderOptions));
+      return print(await game.limit('ask', ask, size(args[2]), orderOptions));
+    }
+    case 'buy':
+    case 'sell':
+      return print(await game.market(command === 'buy' ? 'bid' : 'ask', size(args[0]), { contractId }));
+    case 'amend': {
+      const changes = {};
+      if (options.price !== undefined) changes.price = number(options.price, 'Price');
+      if (options.size !== undefined) changes.size = number(options.size, 'Size');
+      return print(await game.amendOrder(number(args[0], 'Order id'), changes));
+    }
+    case 'cancel':
+      return print(await game.cancelOrder(number(args[0], 'Order id')));
+    case 'cancel-all':
+      return print(await game.cancelOrders({ contractId }));
+    case 'book': {
+      const { state } = await game.state(contractId);
+      const ids = contractId ? [contractId] : Object.keys(state.contracts);
+      return print(ids.map(id => formatBook(state, id)).join('\n\n'));
+    }
+    case 'watch': {
+      const id = contractId || 'main';
+      game.watch((state, message) => {
+        if (message.type === 'clockTick') return;
+        process.stdout.write('\x1b[2J\x1b[H');
+        print(formatBook(state, id));
+      }, { contractId: id, onError: e => console.error(`Reconnecting: ${e.message}`) });
+      return new Promise(() => {}); // until Ctrl+C
+    }
+    case 'pnl':
+      return print(await game.pnl(contractId));
+    case 'state':
+      return print(await game.state(contractId));
+
+    // --- Admin commands ---
+    case 'import': {
+      if (!args[0]) throw new Error('Usage: import <csv>');
+      for (const { name, count } of readPlayersCSV(args[0])) {
+        try {
+          await game.addPlayer(name, count);
+          print(`Added ${name} (${count})`);
+        } catch (e) {
+          console.error(`${name}: ${e.message}`);
+          process.exitCode = 1;
+        }
+      }
+      return;
+    }
+    case 'turns': {
+      const order = args.length ? args : Object.keys((await game.state()).state.players);
+      await game.setTurnOrder(order);
+      await game.startTurns();
+      return print(`Turns started: ${order.join(' -> ')}`);
+    }
+    case 'stop-turns':
+      return print(await game.stopTurns());
+    case 'give-turn':
+      return print(await game.setCurrentTurn(args[0]));
+    case 'reveal':
+      return print(await game.toggleReveal(args[0]));
+    case 'schedule': {
+      const [trigger, n] = args;
+      const value = number(n, 'n');
+      const rule = { trigger, effect: options.effect };
+      if (trigger === 'turns') rule.every = value;
+      else if (trigger === 'time') rule.at = Date.now() + value * 60000;
+      else rule.volume = value;
+      return print(await game.addRevealRule(rule));
+    }
+    case 'unschedule':
+      return print(await game.removeRevealRule(number(args[0], 'Rule id')));
+    case 'news':
+      if (!args.length) throw new Error('Usage: news <text>');
+      return print(await game.postNews(args.join(' ')));
+    case 'hint':
+      return print(await game.hint(args[0], args[1], args[2] === undefined ? undefined : number(args[2], 'Value')));
+    case 'auction':
+    case 'continuous':
+      return print(await game.setMarketMode(command, contractId));
+    case 'uncross':
+      return print(await game.uncross(contractId));
+    case 'settle':
+      return print(await game.settle(args[0] || contractId));
+    case 'reset':
+      return print(await game.reset());
+    case 'export':
+      if (!args[0]) throw new Error('Usage: export <kind>');
+      return print(await game.exportData(args[0], { format: options.format, contractId, round: options.round }));
+    case 'undo':
+      return print(await game.undo({ count: args[0] === undefined ? 1 : number(args[0], 'Count') }));
+
+    default:
+      process.stdout.write(USAGE);
+      if (command) process.exitCode = 1;
+  }
+}
+
+const { args, options } = parseArgs(process.argv.slice(2));
+const game = createClient({
+  url: options.url || process.env.ORDERBOOK_URL,
+  room: options.room || process.env.ORDERBOOK_ROOM,
+  token: options.token || process.env.ORDERBOOK_TOKEN,
+  playerName: options.name || process.env.ORDERBOOK_NAME,
+});
+
+run(args[0], args.slice(1), options, game).catch(e => {
+  console.error(`Error: ${e.message}`);
+  process.exitCode = 1;
+});
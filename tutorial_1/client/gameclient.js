@@ -0,0 +1,410 @@
+// Client library for the Order Book Game server: one method per /api route plus the /api/events
+// stream and the /api/ws WebSocket, for trading algorithms, scripts and the command-line client (cli.js).
+// No external dependencies (Node 18+ built-ins only: fetch, http, https, crypto)
+//
+//   const { createClient } = require('./gameclient');
+//   const game = createClient({ url: 'http://localhost:8080' });
+//   await game.join('Alice', 2);                  // registers and keeps Alice's session token
+//   await game.limit('bid', 3, 1);                // bid 1 contract at 3 in the default contract
+//   const feed = game.watch(state => console.log(bestBidAsk(state.contracts.main)));
+//   feed.close();
+//
+// Every method returns the server's JSON reply. Failed calls reject with an Error whose message is the
+// server's error text, with .status (HTTP status) and .body (the full reply, e.g. bestBid/bestAsk).
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const DEFAULT_URL = 'http://localhost:8080';
+const DEFAULT_ROOM = 'main';
+const RECONNECT_MS = 2000; // the server also sends "retry: 2000"
+
+function apiError(status, body) {
+  return Object.assign(new Error(body.error || `HTTP ${status}`), { status, body });
+}
+
+// options: { url, room, token, playerName } - token is a player or admin token; join() sets it
+function createClient(options = {}) {
+  const baseUrl = (options.url || DEFAULT_URL).replace(/\/+$/, '');
+  const room = options.room || DEFAULT_ROOM;
+  // Room routes live under /r/<room>; the default room also answers on the plain routes
+  const roomUrl = room === DEFAULT_ROOM ? baseUrl : `${baseUrl}/r/${encodeURIComponent(room)}`;
+  const session = { token: options.token || null, playerName: options.playerName || null };
+
+  async function request(method, path, body, { query = {}, base = roomUrl } = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null) params.set(key, value);
+    }
+    const search = params.toString();
+    const headers = { 'Content-Type': 'application/json' };
+    if (session.token) headers['Authorization'] = `Bearer ${session.token}`;
+    const res = await fetch(base + path + (search ? `?${search}` : ''), {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    const isJSON = (res.headers.get('content-type') || '').includes('application/json');
+    const data = isJSON && text ? JSON.parse(text) : text;
+    if (!res.ok) throw apiError(res.status, isJSON ? data : { error: text || res.statusText });
+    return data;
+  }
+
+  const get = (path, query) => request('GET', path, undefined, { query });
+  const post = (path, body = {}) => request('POST', path, body);
+
+  function player(playerName) {
+    const name = playerName || session.playerName;
+    if (!name) throw new Error('No player name - call join() or pass playerName');
+    return name;
+  }
+
+  const client = {
+    session, // { token, playerName } - change it to act as someone else
+
+    // --- Game state ---
+    state: contractId => get('/api/state', { contract: contractId }),
+    pnl: contractId => get('/api/pnl', { contract: contractId }),
+    tournament: () => get('/api/tournament'),
+
+    // --- Players ---
+    // Registers (or claims a name the admin added) and keeps the returned token for later calls
+    async join(name, count) {
+      const reply = await post('/api/addPlayer', { name, count });
+      if (reply.token) {
+        session.token = reply.token;
+        session.playerName = name;
+      }
+      return reply;
+    },
+    // orderType: limit (default), market, ioc, fok or postOnly; price is ignored for market orders
+    submitOrder: ({ contractId, playerName, side, price, size = 1, orderType = 'limit' }) =>
+      post('/api/submitOrder', { contractId, playerName: player(playerName), side, price, size, orderType }),
+    limit: (side, price, size = 1, { contractId, playerName, orderType = 'limit' } = {}) =>
+      client.submitOrder({ contractId, playerName, side, price, size, orderType }),
+    market: (side, size = 1, { contractId, playerName } = {}) =>
+      client.submitOrder({ contractId, playerName, side, price: null, size, orderType: 'market' }),
+    amendOrder: (orderId, { price, size } = {}) => post('/api/amendOrder', { orderId, price, size }),
+    cancelOrder: orderId => post('/api/cancelOrder', { orderId }),
+    // contractId omitted = every contract
+    cancelOrders: ({ contractId, playerName } = {}) => post('/api/cancelOrders', { playerName: player(playerName), contractId }),
+
+    // --- Admin: players and access ---
+    addPlayer: (name, count) => post('/api/addPlayer', { name, count }),
+    addDummyPlayer: (name, count = 0) => post('/api/addDummyPlayer', { name, count }),
+    submitDummyOrder: ({ contractId, playerName, side, price, size = 1 }) =>
+      post('/api/submitDummyOrder', { contractId, playerName, side, price, size }),
+    toggleReveal: name => post('/api/toggleReveal', { name }),
+    setRegistration: open => post('/api/setRegistration', { open }),
+    reissuePlayerToken: name => post('/api/reissuePlayerToken', { name }),
+    revokePlayerToken: name => post('/api/revokePlayerToken', { name }),
+
+    // --- Admin: contracts, call auctions, settlement and reset ---
+    // derivative (optional): { type: 'call' | 'put', strike }, { type: 'binary', strike, payout } or { type: 'calendar' }
+    addContract: ({ id, name, rule, derivative }) => post('/api/addContract', { id, name, rule, derivative }),
+    removeContract: contractId => post('/api/removeContract', { contractId }),
+    // mode: continuous or auction (leaving an auction uncrosses it)
+    setMarketMode: (mode, contractId) => post('/api/setMarketMode', { contractId, mode }),
+    uncross: contractId => post('/api/uncross', { contractId }),
+    // contractId omitted = settle every open contract
+    settle: contractId => post('/api/settle', contractId ? { contractId } : {}),
+    reset: () => post('/api/reset'),
+
+    // --- Admin: turns ---
+    setTurnOrder: turnOrder => post('/api/setTurnOrder', { turnOrder }),
+    setCurrentTurn: playerName => post('/api/setCurrentTurn', { playerName }),
+    startTurns: () => post('/api/startTurns'),
+    stopTurns: () => post('/api/stopTurns'),
+    // seconds null = no limit
+    setTurnTimeLimit: seconds => post('/api/setTurnTimeLimit', { seconds }),
+    pauseClock: () => post('/api/pauseClock'),
+    resumeClock: () => post('/api/resumeClock'),
+
+    // --- Admin: bots, limits and rules ---
+    bots: () => get('/api/bots'),
+    setBot: (name, strategy, params) => post('/api/setBot', { name, strategy, params }),
+    setBotParams: (name, params) => post('/api/setBotParams', { name, params }),
+    setRiskLimits: limits => post('/api/setRiskLimits', limits),
+    setRules: rules => post('/api/setRules', rules),
+
+    // --- Admin: information ---
+    // rule: { trigger: 'turns', every } | { trigger: 'time', at } | { trigger: 'volume', volume }, effect 'reveal' or 'hint'
+    addRevealRule: rule => post('/api/addRevealRule', rule),
+    removeRevealRule: id => post('/api/removeRevealRule', { id }),
+    postNews: text => post('/api/news', { text }),
+    // relation 'atLeast' or 'atMost' with value; both omitted = a random true hint
+    hint: (name, relation, value) => post('/api/hint', { name, relation, value }),
+    // panels: { book, tape, chart, stats, leaderboard, players, news } - true shows, false hides on /spectate
+    setSpectatorPanels: panels => post('/api/setSpectatorPanels', panels),
+
+    // --- Admin: tournaments ---
+    startTournament: () => post('/api/startTournament'),
+    nextRound: ({ values, randomMax } = {}) => post('/api/nextRound', { values, randomMax }),
+
+    // --- Admin: records ---
+    // kind: trades, orders, priceHistory, pnl, leaderboard or tournament; csv comes back as text;
+    // round: a finished tournament round (default the current one)
+    exportData: (kind, { format = 'json', contractId, round } = {}) =>
+      get(`/api/export/${encodeURIComponent(kind)}`, { format, contract: contractId, round }),
+    report: (format = 'json') => get('/api/report', { format }),
+    // at: { turn } or { ts }
+    history: (at, contractId) => get('/api/history', { ...at, contract: contractId }),
+    audit: () => get('/api/audit'),
+    // { count } or { auditId }
+    undo: (which = {}) => post('/api/undo', which),
+
+    // --- Server admin: rooms (always on the plain routes) ---
+    rooms: () => request('GET', '/api/rooms', undefined, { base: baseUrl }),
+    createRoom: name => request('POST', '/api/createRoom', { name }, { base: baseUrl }),
+    closeRoom: name => request('POST', '/api/closeRoom', { name }, { base: baseUrl }),
+
+    // --- Live updates ---
+    // Calls onMessage(message) for every /api/events message: the first is { type: 'state', state },
+    // then typed events (orderAdded, trade, turn, ...) and clockTick. Reconnects on its own, resuming
+    // from the last event seen. Returns { close }.
+    events(onMessage, { contractId, onError } = {}) {
+      let lastEventId = null;
+      let req = null;
+      let closed = false;
+      let timer = null;
+
+      function reconnect(err) {
+        if (closed) return;
+        if (err && onError) onError(err);
+        clearTimeout(timer);
+        timer = setTimeout(connect, RECONNECT_MS);
+      }
+
+      function connect() {
+        const params = new URLSearchParams();
+        if (contractId) params.set('contract', contractId);
+        const target = new URL(`${roomUrl}/api/events${params.toString() ? `?${params}` : ''}`);
+        const headers = { Accept: 'text/event-stream' };
+        if (session.token) headers['Authorization'] = `Bearer ${session.token}`;
+        if (lastEventId !== null) headers['Last-Event-ID'] = lastEventId;
+        const transport = target.protocol === 'https:' ? https : http;
+        req = transport.get(target, { headers }, res => {
+          if (res.statusCode !== 200) {
+            res.resume();
+            return reconnect(new Error(`Event stream returned HTTP ${res.statusCode}`));
+          }
+          res.setEncoding('utf8');
+          let buffer = '';
+          res.on('data', chunk => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+              const block = buffer.slice(0, end);
+              buffer = buffer.slice(end + 2);
+              let data = '';
+              for (const line of block.split('\n')) {
+                if (line.startsWith('id:')) lastEventId = line.slice(3).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+              }
+              if (data) onMessage(JSON.parse(data));
+            }
+          });
+          res.on('end', () => reconnect());
+          res.on('error', reconnect);
+        });
+        req.on('error', reconnect);
+      }
+
+      connect();
+      return {
+        close() {
+          closed = true;
+          clearTimeout(timer);
+          if (req) req.destroy();
+        },
+      };
+    },
+
+    // One WebSocket (/api/ws) for both the event stream and order requests - lower latency than a POST
+    // per order. onMessage gets the same messages as events(); there is no automatic reconnect
+    // (onClose is called instead). Returns { ready, request(action, body), subscribe(contractId), close }:
+    // ready resolves once connected, and request resolves with the ack or rejects like the REST methods.
+    connect(onMessage, { contractId, onClose } = {}) {
+      const params = new URLSearchParams();
+      if (contractId) params.set('contract', contractId);
+      const target = new URL(`${roomUrl}/api/ws${params.toString() ? `?${params}` : ''}`);
+      target.protocol = target.protocol === 'https:' ? 'wss:' : 'ws:';
+      const pending = new Map(); // request id -> { resolve, reject }
+      let nextId = 1;
+      let socket = null;
+
+      const ready = new Promise((resolve, reject) => {
+        const key = crypto.randomBytes(16).toString('base64');
+        const headers = { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': key };
+        if (session.token) headers['Authorization'] = `Bearer ${session.token}`;
+        const transport = target.protocol === 'wss:' ? https : http;
+        const req = transport.request({
+          hostname: target.hostname, port: target.port, path: target.pathname + target.search, headers,
+        });
+        req.on('response', res => reject(new Error(`WebSocket upgrade refused: HTTP ${res.statusCode}`)));
+        req.on('error', reject);
+        req.on('upgrade', (res, upgraded, head) => {
+          socket = upgraded;
+          socket.setNoDelay(true);
+          let buffer = head;
+          socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let frame;
+            while ((frame = readFrame(buffer))) {
+              buffer = buffer.subarray(frame.length);
+              if (frame.opcode === 0x8) return socket.end();
+              if (frame.opcode === 0x9) socket.write(maskedFrame(0xa, frame.payload));
+              if (frame.opcode !== 0x1) continue;
+              const message = JSON.parse(frame.payload.toString());
+              const waiting = message.id !== undefined ? pending.get(message.id) : null;
+              if (waiting && (message.type === 'ack' || message.type === 'reject')) {
+                pending.delete(message.id);
+                if (message.type === 'ack') waiting.resolve(message);
+                else waiting.reject(apiError(message.status, message));
+              } else {
+                onMessage(message);
+              }
+            }
+          });
+          socket.on('close', () => {
+            for (const waiting of pending.values()) waiting.reject(new Error('WebSocket closed'));
+            pending.clear();
+            if (onClose) onClose();
+          });
+          socket.on('error', () => {});
+          resolve();
+        });
+        req.end();
+      });
+
+      function request(action, body = {}) {
+        if (!socket || !socket.writable) return Promise.reject(new Error('WebSocket not connected'));
+        const id = nextId++;
+        return new Promise((resolve, reject) => {
+          pending.set(id, { resolve, reject });
+          socket.write(maskedFrame(0x1, Buffer.from(JSON.stringify({ id, action, ...body }))));
+        });
+      }
+
+      return {
+        ready,
+        request,
+        // contractId omitted = every contract
+        subscribe: id => request('subscribe', { contractId: id || null }),
+        close() {
+          if (socket && socket.writable) socket.end(maskedFrame(0x8, Buffer.alloc(0)));
+        },
+      };
+    },
+
+    // Keeps a copy of the game state up to date from the event stream and calls onChange(state,
+    // message) after every message. Returns { close, state } (state is null until the first snapshot).
+    watch(onChange, { contractId, onError } = {}) {
+      const feed = { state: null, close: null };
+      const stream = client.events(message => {
+        if (message.type === 'state') feed.state = message.state;
+        else if (feed.state) applyEvent(feed.state, message);
+        if (feed.state) onChange(feed.state, message);
+      }, { contractId, onError });
+      feed.close = stream.close;
+      return feed;
+    },
+  };
+  return client;
+}
+
+// WebSocket frames (RFC 6455): the client masks what it sends; the server does not
+function maskedFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, 0x80 | payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.from([0x80 | opcode, 0x80 | 126, 0, 0]);
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  const mask = crypto.randomBytes(4);
+  const masked = Buffer.from(payload);
+  for (let i = 0; i < masked.length; i++) masked[i] ^= mask[i & 3];
+  return Buffer.concat([header, mask, masked]);
+}
+
+// The first complete frame in buffer as { opcode, payload, length }, or null
+function readFrame(buffer) {
+  if (buffer.length < 2) return null;
+  let size = buffer[1] & 0x7f;
+  let offset = 2;
+  if (size === 126) {
+    if (buffer.length < 4) return null;
+    size = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (size === 127) {
+    if (buffer.length < 10) return null;
+    size = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (buffer.length < offset + size) return null;
+  return { opcode: buffer[0] & 0x0f, payload: buffer.subarray(offset, offset + size), length: offset + size };
+}
+
+// Applies one typed event to a state snapshot, the same way the browser pages do
+function applyEvent(state, ev) {
+  const contract = ev.contractId ? (state.contracts || {})[ev.contractId] : null;
+  if (ev.contractId && !contract) return;
+  switch (ev.type) {
+    case 'orderAdded': contract.orders.push(ev.order); break;
+    case 'orderReduced': {
+      const order = contract.orders.find(o => o.id === ev.orderId);
+      if (order) order.size = ev.size;
+      break;
+    }
+    case 'orderRemoved': contract.orders = contract.orders.filter(o => o.id !== ev.orderId); break;
+    case 'trade': contract.trades.push(ev.trade); break;
+    case 'position': contract.positions[ev.player] = ev.position; break;
+    case 'settled': contract.settledPrice = ev.settledPrice; break;
+    case 'turn':
+      state.currentTurnIndex = ev.currentTurnIndex;
+      state.turnCount = ev.turnCount;
+      state.turnClock = ev.clock;
+      for (const { contractId, ...point } of ev.prices) {
+        const c = (state.contracts || {})[contractId];
+        if (c) c.priceHistory.push(point);
+      }
+      break;
+    case 'clock': state.turnClock = ev.clock; break;
+    case 'tournament': state.tournament = ev.tournament; break;
+    case 'auction': contract.mode = ev.mode; contract.indicative = ev.indicative; break;
+    case 'news': state.news.push(ev.item); break;
+  }
+}
+
+// Bids best (highest) first and asks best (lowest) first, each oldest first at a price
+function sortedBook(contract) {
+  const bids = contract.orders.filter(o => o.side === 'bid').sort((a, b) => b.price - a.price || a.id - b.id);
+  const asks = contract.orders.filter(o => o.side === 'ask').sort((a, b) => a.price - b.price || a.id - b.id);
+  return { bids, asks };
+}
+
+function bestBidAsk(contract) {
+  const { bids, asks } = sortedBook(contract);
+  return { bestBid: bids.length ? bids[0].price : null, bestAsk: asks.length ? asks[0].price : null };
+}
+
+// Whose turn it is, or null when turn mode is off
+function currentPlayer(state) {
+  return state.currentTurnIndex >= 0 ? state.turnOrder[state.currentTurnIndex] : null;
+}
+
+module.exports = {
+  createClient,
+  applyEvent,
+  sortedBook,
+  bestBidAsk,
+  currentPlayer,
+};
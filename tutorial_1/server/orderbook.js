@@ -0,0 +1,224 @@
+// Order book for one contract, kept apart from the HTTP server so it can be driven on its own.
+// Each side is kept in price-time priority (best price first, then the oldest order, i.e. the
+// lowest id): a sorted list of prices, each with a queue of the orders resting at it, so the best
+// bid/ask heads the first queue and matching walks a side in order. orders (id -> order) finds any
+// resting order without a scan, and the game's books can share an index (id -> contractId, see
+// findOrder in server.js). A book is Maps and arrays of plain orders, so it copies with structuredClone.
+
+function createSide() {
+  return { prices: [], levels: new Map() }; // levels: price -> [orders], oldest first
+}
+
+function createBook(index = null) {
+  return { bids: createSide(), asks: createSide(), orders: new Map(), index };
+}
+
+function sideOf(book, side) {
+  return side === 'bid' ? book.bids : book.asks;
+}
+
+function oppositeOf(book, side) {
+  return side === 'bid' ? book.asks : book.bids;
+}
+
+// true when price a trades before price b on side
+function isBetter(side, a, b) {
+  return side === 'bid' ? a > b : a < b;
+}
+
+// Binary search: the number of leading items of a sorted array for which before(item) holds
+function countBefore(items, before) {
+  let lo = 0;
+  let hi = items.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (before(items[mid])) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function insertOrder(book, order) {
+  const { prices, levels } = sideOf(book, order.side);
+  let queue = levels.get(order.price);
+  if (!queue) {
+    queue = [];
+    levels.set(order.price, queue);
+    prices.splice(countBefore(prices, p => isBetter(order.side, p, order.price)), 0, order.price);
+  }
+  // New orders have the highest id so far and join the back; replays may insert out of order
+  if (!queue.length || queue[queue.length - 1].id < order.id) queue.push(order);
+  else queue.splice(countBefore(queue, o => o.id < order.id), 0, order);
+  book.orders.set(order.id, order);
+  if (book.index) book.index.set(order.id, order.contractId);
+}
+
+function getOrder(book, orderId) {
+  return book.orders.get(orderId) || null;
+}
+
+// Takes order out of its queue (at position) and the maps, and drops the price once nothing rests there
+function unlink(book, order, position) {
+  const { prices, levels } = sideOf(book, order.side);
+  const queue = levels.get(order.price);
+  queue.splice(position, 1);
+  if (!queue.length) {
+    levels.delete(order.price);
+    prices.splice(countBefore(prices, p => isBetter(order.side, p, order.price)), 1);
+  }
+  book.orders.delete(order.id);
+  if (book.index) book.index.delete(order.id);
+}
+
+// Returns the removed order, or null if it is not in the book
+function removeOrder(book, orderId) {
+  const order = getOrder(book, orderId);
+  if (!order) return null;
+  unlink(book, order, countBefore(sideOf(book, order.side).levels.get(order.price), o => o.id < order.id));
+  return order;
+}
+
+// Empties the book (e.g. on settlement), keeping its place in the shared index
+function clearBook(book) {
+  if (book.index) for (const id of book.orders.keys()) book.index.delete(id);
+  book.bids = createSide();
+  book.asks = createSide();
+  book.orders.clear();
+}
+
+// One side in priority order
+function sideOrders(book, side) {
+  const { prices, levels } = sideOf(book, side);
+  return prices.flatMap(price => levels.get(price));
+}
+
+// Bids then asks, each in priority order
+function allOrders(book) {
+  return [...sideOrders(book, 'bid'), ...sideOrders(book, 'ask')];
+}
+
+function playerOrders(book, player) {
+  return allOrders(book).filter(o => o.player === player);
+}
+
+// The order at the head of side, or null
+function bestOrder(book, side) {
+  const { prices, levels } = sideOf(book, side);
+  return prices.length ? levels.get(prices[0])[0] : null;
+}
+
+// Best price on side, leaving out excludeOrderId (an order being amended)
+function bestPrice(book, side, excludeOrderId = null) {
+  const { prices, levels } = sideOf(book, side);
+  for (const price of prices) {
+    const queue = levels.get(price);
+    if (queue.length > 1 || queue[0].id !== excludeOrderId) return price;
+  }
+  return null;
+}
+
+function queueSize(queue) {
+  return queue.reduce((n, o) => n + o.size, 0);
+}
+
+// Would an incoming order on side at price (null = market, any price) trade at restingPrice?
+function crosses(restingPrice, side, price) {
+  if (price === null) return true;
+  return side === 'bid' ? restingPrice <= price : restingPrice >= price;
+}
+
+// Size resting on the other side at price or better (what an incoming order could fill right now)
+function fillableSize(book, side, price) {
+  const { prices, levels } = oppositeOf(book, side);
+  let size = 0;
+  for (const restingPrice of prices) {
+    if (!crosses(restingPrice, side, price)) break;
+    size += queueSize(levels.get(restingPrice));
+  }
+  return size;
+}
+
+// The one matching path for every order type. Walks the opposite side best-first while it crosses
+// incoming.price (null = market order) and calls fill(resting, remaining) for each resting order:
+//   > 0  - units traded; the resting order is reduced by that much and removed once empty
+//   0    - the resting order cannot trade and is removed from the book
+//   null - matching stops here
+// Returns the untraded part of incoming.size; resting it (or not) is up to the caller.
+function match(book, incoming, fill) {
+  const opposite = oppositeOf(book, incoming.side);
+  let remaining = incoming.size;
+  while (remaining > 0 && opposite.prices.length > 0 && crosses(opposite.prices[0], incoming.side, incoming.price)) {
+    const resting = opposite.levels.get(opposite.prices[0])[0];
+    const traded = fill(resting, remaining);
+    if (traded === null) break;
+    if (traded === 0) {
+      unlink(book, resting, 0);
+      continue;
+    }
+    resting.size -= traded;
+    remaining -= traded;
+    if (resting.size === 0) unlink(book, resting, 0);
+  }
+  return remaining;
+}
+
+// Call auction: what would trade if the book uncrossed at price - bids at price or above against
+// asks at price or below. surplus > 0 is buying left over, < 0 selling.
+function auctionVolume(book, price) {
+  let demand = 0;
+  for (const p of book.bids.prices) {
+    if (p < price) break;
+    demand += queueSize(book.bids.levels.get(p));
+  }
+  let supply = 0;
+  for (const p of book.asks.prices) {
+    if (p > price) break;
+    supply += queueSize(book.asks.levels.get(p));
+  }
+  return { volume: Math.min(demand, supply), surplus: demand - supply };
+}
+
+// Clearing price range of a call auction, or null if nothing crosses. Among the order prices:
+//   1. the most volume, 2. the smallest surplus, 3. all surplus on the buy side -> the highest,
+//   all on the sell side -> the lowest.
+// Otherwise every price from low to high clears the same volume and the caller picks one
+// (e.g. nearest a reference price).
+function auctionRange(book) {
+  const prices = [...new Set([...book.bids.prices, ...book.asks.prices])].sort((a, b) => a - b);
+  let best = [];
+  let bestVolume = 0;
+  let bestSurplus = Infinity;
+  for (const price of prices) {
+    const { volume, surplus } = auctionVolume(book, price);
+    if (volume === 0 || volume < bestVolume) continue;
+    if (volume > bestVolume || Math.abs(surplus) < bestSurplus) {
+      best = [];
+      bestVolume = volume;
+      bestSurplus = Math.abs(surplus);
+    }
+    if (Math.abs(surplus) === bestSurplus) best.push({ price, surplus });
+  }
+  if (!best.length) return null;
+  const low = best[0].price;
+  const high = best[best.length - 1].price;
+  if (best.every(c => c.surplus > 0)) return { low: high, high, volume: bestVolume };
+  if (best.every(c => c.surplus < 0)) return { low, high: low, volume: bestVolume };
+  return { low, high, volume: bestVolume };
+}
+
+module.exports = {
+  createBook,
+  insertOrder,
+  getOrder,
+  removeOrder,
+  clearBook,
+  sideOrders,
+  allOrders,
+  playerOrders,
+  bestOrder,
+  bestPrice,
+  fillableSize,
+  match,
+  auctionVolume,
+  auctionRange,
+};
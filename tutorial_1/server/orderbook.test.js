@@ -0,0 +1,217 @@
+// Order book: price-time priority, the id maps, the matching loop, market orders and call-auction
+// clearing prices
+// Run with: node --test tutorial_1/server/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBook, insertOrder, getOrder, removeOrder, clearBook, sideOrders, allOrders, bestOrder, bestPrice, fillableSize, match, auctionVolume, auctionRange } = require('./orderbook');
+
+function order(id, side, price, size, player = 'p') {
+  return { id, contractId: 'main', player, side, price, size, timestamp: 0 };
+}
+
+function bookWith(orders) {
+  const book = createBook();
+  for (const o of orders) insertOrder(book, o);
+  return book;
+}
+
+const ids = orders => orders.map(o => o.id);
+const takeAll = (resting, remaining) => Math.min(resting.size, remaining);
+
+test('insertOrder keeps bids highest first and asks lowest first', () => {
+  const book = bookWith([
+    order(1, 'bid', 10, 1), order(2, 'bid', 12, 1), order(3, 'bid', 11, 1),
+    order(4, 'ask', 15, 1), order(5, 'ask', 13, 1), order(6, 'ask', 14, 1),
+  ]);
+  assert.deepEqual(ids(sideOrders(book, 'bid')), [2, 3, 1]);
+  assert.deepEqual(ids(sideOrders(book, 'ask')), [5, 6, 4]);
+  assert.equal(bestPrice(book, 'bid'), 12);
+  assert.equal(bestPrice(book, 'ask'), 13);
+  assert.deepEqual(ids(allOrders(book)), [2, 3, 1, 5, 6, 4]);
+});
+
+test('insertOrder queues equal prices by time (lowest id first), whatever the insertion order', () => {
+  const book = bookWith([
+    order(4, 'bid', 10, 1), order(2, 'bid', 10, 1), order(7, 'bid', 11, 1), order(9, 'bid', 10, 1), order(3, 'bid', 10, 1),
+    order(8, 'ask', 12, 1), order(5, 'ask', 12, 1), order(6, 'ask', 12, 1),
+  ]);
+  assert.deepEqual(ids(sideOrders(book, 'bid')), [7, 2, 3, 4, 9]);
+  assert.deepEqual(ids(sideOrders(book, 'ask')), [5, 6, 8]);
+});
+
+test('getOrder and removeOrder find orders on either side', () => {
+  const book = bookWith([order(1, 'bid', 10, 1), order(2, 'ask', 12, 1)]);
+  assert.equal(getOrder(book, 2).price, 12);
+  assert.equal(removeOrder(book, 1).id, 1);
+  assert.equal(getOrder(book, 1), null);
+  assert.equal(removeOrder(book, 1), null);
+  assert.equal(bestPrice(book, 'bid'), null);
+});
+
+test('bestPrice can leave out one order, e.g. the one being amended', () => {
+  const book = bookWith([order(1, 'bid', 12, 1), order(2, 'bid', 11, 1), order(3, 'bid', 11, 1), order(4, 'ask', 13, 1)]);
+  assert.equal(bestPrice(book, 'bid', 1), 11);
+  assert.equal(bestPrice(book, 'bid', 2), 12);
+  assert.equal(bestPrice(book, 'ask', 4), null);
+  assert.equal(bestOrder(book, 'bid').id, 1);
+  assert.equal(bestOrder(createBook(), 'ask'), null);
+});
+
+test('books sharing an index map every resting order id to its contract', () => {
+  const index = new Map();
+  const main = createBook(index);
+  const call = createBook(index);
+  insertOrder(main, order(1, 'bid', 10, 2));
+  insertOrder(call, { ...order(2, 'ask', 3, 1), contractId: 'call' });
+  insertOrder(main, order(3, 'ask', 12, 1));
+  assert.deepEqual([...index], [[1, 'main'], [2, 'call'], [3, 'main']]);
+
+  removeOrder(main, 3);
+  match(main, order(4, 'ask', 10, 2), takeAll);
+  assert.deepEqual([...index], [[2, 'call']]);
+  clearBook(call);
+  assert.equal(index.size, 0);
+  assert.deepEqual(allOrders(call), []);
+});
+
+test('match fills resting orders best first and leaves a partly filled one at the head', () => {
+  const book = bookWith([order(1, 'ask', 11, 3), order(2, 'ask', 10, 2), order(3, 'ask', 10, 2)]);
+  const fills = [];
+  const remaining = match(book, order(4, 'bid', 11, 5), (resting, left) => {
+    fills.push([resting.id, left]);
+    return takeAll(resting, left);
+  });
+  assert.equal(remaining, 0);
+  assert.deepEqual(fills, [[2, 5], [3, 3], [1, 1]]);
+  assert.deepEqual(sideOrders(book, 'ask').map(o => [o.id, o.size]), [[1, 2]]);
+});
+
+test('match stops at the limit price and returns the unfilled size', () => {
+  const book = bookWith([order(1, 'bid', 9, 4), order(2, 'bid', 8, 4)]);
+  const remaining = match(book, order(3, 'ask', 9, 6), takeAll);
+  assert.equal(remaining, 2);
+  assert.deepEqual(sideOrders(book, 'bid').map(o => [o.id, o.size]), [[2, 4]]);
+});
+
+test('match can fill less than the resting order offers', () => {
+  const book = bookWith([order(1, 'ask', 10, 5)]);
+  const remaining = match(book, order(2, 'bid', 10, 4), () => 1);
+  assert.equal(remaining, 0);
+  assert.deepEqual(sideOrders(book, 'ask').map(o => [o.id, o.size]), [[1, 1]]);
+});
+
+test('a fill of 0 removes the resting order and matching goes on with the next one', () => {
+  const book = bookWith([order(1, 'ask', 10, 2), order(2, 'ask', 10, 2)]);
+  const remaining = match(book, order(3, 'bid', 10, 3), (resting, left) => (resting.id === 1 ? 0 : takeAll(resting, left)));
+  assert.equal(remaining, 1);
+  assert.deepEqual(allOrders(book), []);
+});
+
+test('a fill of null stops matching and keeps the resting order untouched', () => {
+  const book = bookWith([order(1, 'ask', 10, 2), order(2, 'ask', 11, 2)]);
+  const remaining = match(book, order(3, 'bid', 11, 4), (resting, left) => (resting.id === 2 ? null : takeAll(resting, left)));
+  assert.equal(remaining, 2);
+  assert.deepEqual(sideOrders(book, 'ask').map(o => [o.id, o.size]), [[2, 2]]);
+});
+
+test('a market order (price null) crosses every price until it is filled or the side is empty', () => {
+  const book = bookWith([order(1, 'bid', 3, 1), order(2, 'bid', 9, 2), order(3, 'bid', 1, 4)]);
+  const prices = [];
+  const remaining = match(book, order(4, 'ask', null, 10), (resting, left) => {
+    prices.push(resting.price);
+    return takeAll(resting, left);
+  });
+  assert.deepEqual(prices, [9, 3, 1]);
+  assert.equal(remaining, 3);
+  assert.deepEqual(allOrders(book), []);
+
+  const asks = bookWith([order(5, 'ask', 50, 2), order(6, 'ask', 99, 2)]);
+  assert.equal(match(asks, order(7, 'bid', null, 3), takeAll), 0);
+  assert.deepEqual(sideOrders(asks, 'ask').map(o => [o.id, o.size]), [[6, 1]]);
+});
+
+test('fillableSize adds up the other side at the price or better', () => {
+  const book = bookWith([order(1, 'ask', 10, 2), order(2, 'ask', 11, 3), order(3, 'ask', 13, 4), order(4, 'bid', 8, 5)]);
+  assert.equal(fillableSize(book, 'bid', 9), 0);
+  assert.equal(fillableSize(book, 'bid', 10), 2);
+  assert.equal(fillableSize(book, 'bid', 12), 5);
+  assert.equal(fillableSize(book, 'bid', null), 9);
+  assert.equal(fillableSize(book, 'ask', 8), 5);
+  assert.equal(fillableSize(book, 'ask', 9), 0);
+  assert.equal(fillableSize(book, 'ask', null), 5);
+  assert.equal(fillableSize(createBook(), 'bid', null), 0);
+});
+
+test('auctionVolume counts bids at or above and asks at or below the price', () => {
+  const book = bookWith([order(1, 'bid', 12, 5), order(2, 'bid', 10, 5), order(3, 'ask', 9, 3), order(4, 'ask', 11, 5)]);
+  assert.deepEqual(auctionVolume(book, 9), { volume: 3, surplus: 7 });
+  assert.deepEqual(auctionVolume(book, 10), { volume: 3, surplus: 7 });
+  assert.deepEqual(auctionVolume(book, 11), { volume: 5, surplus: -3 });
+  assert.deepEqual(auctionVolume(book, 13), { volume: 0, surplus: -8 });
+});
+
+test('auctionRange is null when nothing crosses', () => {
+  assert.equal(auctionRange(createBook()), null);
+  assert.equal(auctionRange(bookWith([order(1, 'bid', 8, 5), order(2, 'ask', 9, 5)])), null);
+  assert.equal(auctionRange(bookWith([order(1, 'bid', 8, 5)])), null);
+});
+
+test('auctionRange picks the price with the most volume', () => {
+  const book = bookWith([order(1, 'bid', 12, 2), order(2, 'bid', 10, 4), order(3, 'ask', 9, 3), order(4, 'ask', 10, 2), order(5, 'ask', 12, 4)]);
+  // 9: 3 (+3), 10: 5 (+1), 12: 2 (-7)
+  assert.deepEqual(auctionRange(book), { low: 10, high: 10, volume: 5 });
+});
+
+test('auctionRange breaks a volume tie on the smallest surplus', () => {
+  const book = bookWith([order(1, 'bid', 11, 3), order(2, 'ask', 9, 3), order(3, 'ask', 10, 2)]);
+  // 9: 3 (0), 10: 3 (-2), 11: 3 (-2)
+  assert.deepEqual(auctionRange(book), { low: 9, high: 9, volume: 3 });
+});
+
+test('auctionRange takes the highest price when every candidate leaves buying over', () => {
+  const book = bookWith([order(1, 'bid', 11, 5), order(2, 'ask', 9, 3)]);
+  // 9: 3 (+2), 11: 3 (+2)
+  assert.deepEqual(auctionRange(book), { low: 11, high: 11, volume: 3 });
+});
+
+test('auctionRange takes the lowest price when every candidate leaves selling over', () => {
+  const book = bookWith([order(1, 'bid', 12, 5), order(2, 'bid', 10, 5), order(3, 'ask', 9, 3), order(4, 'ask', 11, 5)]);
+  // 11: 5 (-3), 12: 5 (-3)
+  assert.deepEqual(auctionRange(book), { low: 11, high: 11, volume: 5 });
+});
+
+test('auctionRange returns the whole range when the surplus changes side across the candidates', () => {
+  const balanced = bookWith([order(1, 'bid', 11, 3), order(2, 'ask', 9, 3)]);
+  assert.deepEqual(auctionRange(balanced), { low: 9, high: 11, volume: 3 });
+
+  const mixed = bookWith([order(1, 'bid', 11, 2), order(2, 'bid', 9, 1), order(3, 'ask', 9, 2), order(4, 'ask', 11, 1)]);
+  // 9: 2 (+1), 11: 2 (-1)
+  assert.deepEqual(auctionRange(mixed), { low: 9, high: 11, volume: 2 });
+});
+
+test('thousands of orders: cancels, lookups and a sweep stay in price-time order', () => {
+  const count = 20000;
+  const started = process.hrtime.bigint();
+  const book = createBook(new Map());
+  // 100 price levels on each side, ids interleaved across them
+  for (let id = 1; id <= count; id++) {
+    insertOrder(book, order(id, id % 2 ? 'bid' : 'ask', id % 2 ? 1000 - (id % 200) : 1001 + (id % 200), 1));
+  }
+  assert.equal(getOrder(book, count).price, 1001);
+  for (let id = 1; id <= count; id += 4) assert.equal(removeOrder(book, id).id, id);
+  assert.equal(allOrders(book).length, count * 3 / 4);
+
+  const bids = sideOrders(book, 'bid');
+  for (let i = 1; i < bids.length; i++) {
+    assert.ok(bids[i - 1].price > bids[i].price || (bids[i - 1].price === bids[i].price && bids[i - 1].id < bids[i].id));
+  }
+
+  const remaining = match(book, order(count + 1, 'ask', null, bids.length), takeAll);
+  assert.equal(remaining, 0);
+  assert.equal(bestPrice(book, 'bid'), null);
+  assert.equal(allOrders(book).length, count / 2);
+  // Tens of milliseconds here; a scan of the side per cancel or fill takes many times longer
+  const ms = Number(process.hrtime.bigint() - started) / 1e6;
+  assert.ok(ms < 2000, `took ${ms} ms`);
+});
@@ -0,0 +1,229 @@
+// Position accounting: cash, realized and unrealized P&L through trades, settlement and market orders,
+// P&L per contract and across a portfolio, and the minCash risk limit on the cash a trade costs
+// Run with: node --test tutorial_1/server/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createInitialState, createContract, updatePosition, getUnrealizedPnL, settleContract, matchOrders, checkRiskLimits, getContractPnL, getPortfolioPnL } = require('./server');
+const { insertOrder, removeOrder, allOrders } = require('./orderbook');
+
+function position(contract, name) {
+  const { quantity, totalCost, realizedPnL, cash } = contract.positions[name];
+  return { quantity, totalCost, realizedPnL, cash };
+}
+
+function gameWith(siblingCounts) {
+  const gameState = createInitialState();
+  for (const [name, siblingCount] of Object.entries(siblingCounts)) {
+    gameState.players[name] = { siblingCount, revealed: false, isDummy: false };
+  }
+  return gameState;
+}
+
+let nextOrderId = 1;
+function order(player, side, price, size) {
+  return { id: nextOrderId++, contractId: 'main', player, side, price, size, timestamp: 0 };
+}
+
+test('a sale bigger than a long closes it at the average price and opens a short at the trade price', () => {
+  const contract = createContract('main', 'Test', 'sum');
+  updatePosition(contract, 'ann', 3, 10);
+  updatePosition(contract, 'ann', -5, 14);
+  assert.deepEqual(position(contract, 'ann'), { quantity: -2, totalCost: -28, realizedPnL: 12, cash: 40 });
+  assert.equal(getUnrealizedPnL(contract.positions.ann, 12), 4);
+  assert.equal(getUnrealizedPnL(contract.positions.ann, 15), -2);
+});
+
+test('a buy bigger than a short covers it and opens a long at the trade price', () => {
+  const contract = createContract('main', 'Test', 'sum');
+  updatePosition(contract, 'ann', -2, 8);
+  updatePosition(contract, 'ann', 5, 6);
+  assert.deepEqual(position(contract, 'ann'), { quantity: 3, totalCost: 18, realizedPnL: 4, cash: -14 });
+  assert.equal(getUnrealizedPnL(contract.positions.ann, 7), 3);
+});
+
+test('partial covers realize P&L on the closed part and keep the average price of the rest', () => {
+  const contract = createContract('main', 'Test', 'sum');
+  updatePosition(contract, 'ann', -4, 10);
+  updatePosition(contract, 'ann', 1, 7);
+  assert.deepEqual(position(contract, 'ann'), { quantity: -3, totalCost: -30, realizedPnL: 3, cash: 33 });
+  assert.equal(getUnrealizedPnL(contract.positions.ann, 9), 3);
+
+  updatePosition(contract, 'ann', 3, 12);
+  assert.deepEqual(position(contract, 'ann'), { quantity: 0, totalCost: 0, realizedPnL: -3, cash: -3 });
+  assert.equal(getUnrealizedPnL(contract.positions.ann, 9), 0);
+});
+
+test('partial sales out of a long keep the blended average price', () => {
+  const contract = createContract('main', 'Test', 'sum');
+  updatePosition(contract, 'ann', 2, 5);
+  updatePosition(contract, 'ann', 2, 7);
+  updatePosition(contract, 'ann', -1, 9);
+  assert.deepEqual(position(contract, 'ann'), { quantity: 3, totalCost: 18, realizedPnL: 3, cash: -15 });
+  assert.equal(getUnrealizedPnL(contract.positions.ann, 8), 6);
+  assert.equal(getUnrealizedPnL(contract.positions.ann, null), null);
+});
+
+test('settlement pays the open quantity at the settlement price and realizes the rest', () => {
+  const gameState = gameWith({ ann: 2, ben: 3, cat: 0 });
+  const contract = gameState.contracts.main;
+  updatePosition(contract, 'ann', 3, 4);
+  updatePosition(contract, 'ben', -3, 4);
+  updatePosition(contract, 'cat', 1, 6);
+  updatePosition(contract, 'cat', -1, 8);
+
+  assert.deepEqual(settleContract(gameState, contract), { contractId: 'main', settledPrice: 5 });
+  assert.equal(contract.settledPrice, 5);
+  assert.deepEqual(position(contract, 'ann'), { quantity: 0, totalCost: 0, realizedPnL: 3, cash: 3 });
+  assert.deepEqual(position(contract, 'ben'), { quantity: 0, totalCost: 0, realizedPnL: -3, cash: -3 });
+  assert.deepEqual(position(contract, 'cat'), { quantity: 0, totalCost: 0, realizedPnL: 2, cash: 2 });
+});
+
+test('settlement cash of a derivative is its payoff, and resting orders are cleared', () => {
+  const gameState = gameWith({ ann: 4, ben: 3 });
+  const contract = createContract('call', 'Call 5', 'sum', { type: 'call', strike: 5 });
+  gameState.contracts.call = contract;
+  insertOrder(contract.book, { ...order('ben', 'ask', 3, 1), contractId: 'call' });
+  updatePosition(contract, 'ann', 2, 1.5);
+  updatePosition(contract, 'ben', -2, 1.5);
+
+  assert.deepEqual(settleContract(gameState, contract), { contractId: 'call', settledPrice: 2 });
+  assert.deepEqual(position(contract, 'ann'), { quantity: 0, totalCost: 0, realizedPnL: 1, cash: 1 });
+  assert.deepEqual(position(contract, 'ben'), { quantity: 0, totalCost: 0, realizedPnL: -1, cash: -1 });
+  assert.deepEqual(allOrders(contract.book), []);
+});
+
+test('settlement needs players', () => {
+  const gameState = createInitialState();
+  assert.deepEqual(settleContract(gameState, gameState.contracts.main), { error: 'No players added yet' });
+  assert.equal(gameState.contracts.main.settledPrice, null);
+});
+
+test('a market order walks the book at the resting prices and drops what it cannot fill', () => {
+  const contract = createContract('main', 'Test', 'sum');
+  insertOrder(contract.book, order('ben', 'ask', 10, 2));
+  insertOrder(contract.book, order('cat', 'ask', 11, 3));
+
+  const trades = matchOrders(contract, order('ann', 'bid', null, 4), false);
+  assert.deepEqual(trades.map(t => [t.buyer, t.seller, t.price, t.size]), [['ann', 'ben', 10, 2], ['ann', 'cat', 11, 2]]);
+  assert.deepEqual(position(contract, 'ann'), { quantity: 4, totalCost: 42, realizedPnL: 0, cash: -42 });
+  assert.deepEqual(position(contract, 'ben'), { quantity: -2, totalCost: -20, realizedPnL: 0, cash: 20 });
+  assert.deepEqual(position(contract, 'cat'), { quantity: -2, totalCost: -22, realizedPnL: 0, cash: 22 });
+  assert.equal(getUnrealizedPnL(contract.positions.ann, 11), 2);
+  assert.deepEqual(allOrders(contract.book).map(o => [o.player, o.price, o.size]), [['cat', 11, 1]]);
+
+  const more = matchOrders(contract, order('ann', 'bid', null, 5), false);
+  assert.deepEqual(more.map(t => [t.price, t.size]), [[11, 1]]);
+  assert.deepEqual(position(contract, 'ann'), { quantity: 5, totalCost: 53, realizedPnL: 0, cash: -53 });
+  assert.deepEqual(allOrders(contract.book), []);
+});
+
+test('a market sell into the bids closes a long and realizes against the average price', () => {
+  const contract = createContract('main', 'Test', 'sum');
+  updatePosition(contract, 'ann', 3, 6);
+  insertOrder(contract.book, order('ben', 'bid', 9, 1));
+  insertOrder(contract.book, order('cat', 'bid', 8, 5));
+
+  matchOrders(contract, order('ann', 'ask', null, 3), false);
+  assert.deepEqual(position(contract, 'ann'), { quantity: 0, totalCost: 0, realizedPnL: 7, cash: 7 });
+  assert.deepEqual(position(contract, 'cat'), { quantity: 2, totalCost: 16, realizedPnL: 0, cash: -16 });
+  assert.deepEqual(allOrders(contract.book).map(o => [o.player, o.price, o.size]), [['cat', 8, 3]]);
+});
+
+// Best bid and ask resting from a market maker, so the contract has a mid price
+function quote(contract, bid, ask) {
+  insertOrder(contract.book, { ...order('mm', 'bid', bid, 1), contractId: contract.id });
+  insertOrder(contract.book, { ...order('mm', 'ask', ask, 1), contractId: contract.id });
+}
+
+test('getContractPnL marks open positions to the mid price, and to nothing without a two-sided book', () => {
+  const contract = createContract('main', 'Test', 'sum');
+  updatePosition(contract, 'ann', 2, 4);
+  updatePosition(contract, 'ben', -2, 4);
+  updatePosition(contract, 'cat', 1, 3);
+  updatePosition(contract, 'cat', -1, 5);
+  const bid = order('mm', 'bid', 5, 1);
+  insertOrder(contract.book, bid);
+  insertOrder(contract.book, order('mm', 'ask', 7, 1));
+
+  const pnl = getContractPnL(contract);
+  assert.equal(pnl.midPrice, 6);
+  assert.equal(pnl.settledPrice, null);
+  assert.deepEqual(pnl.players.ann, { quantity: 2, avgPrice: 4, realizedPnL: 0, unrealizedPnL: 4, totalPnL: 4 });
+  assert.deepEqual(pnl.players.ben, { quantity: -2, avgPrice: 4, realizedPnL: 0, unrealizedPnL: -4, totalPnL: -4 });
+  assert.deepEqual(pnl.players.cat, { quantity: 0, avgPrice: null, realizedPnL: 2, unrealizedPnL: 0, totalPnL: 2 });
+
+  removeOrder(contract.book, bid.id);
+  const oneSided = getContractPnL(contract);
+  assert.equal(oneSided.midPrice, null);
+  assert.deepEqual(oneSided.players.ann, { quantity: 2, avgPrice: 4, realizedPnL: 0, unrealizedPnL: null, totalPnL: null });
+  assert.equal(oneSided.players.cat.totalPnL, 2);
+});
+
+test('getPortfolioPnL sums a hedged book over an underlying and a call on it', () => {
+  const main = createContract('main', 'Sum', 'sum');
+  const call = createContract('call', 'Call 5', 'sum', { type: 'call', strike: 5 });
+  updatePosition(main, 'ann', 2, 4);
+  updatePosition(main, 'ben', -2, 4);
+  // ann buys a call at 1, then sells two at 3: 2 realized and short one at 3
+  updatePosition(call, 'ann', 1, 1);
+  updatePosition(call, 'ben', -1, 1);
+  updatePosition(call, 'ann', -2, 3);
+  updatePosition(call, 'ben', 2, 3);
+  quote(main, 5, 7);
+  quote(call, 1, 3);
+
+  const portfolio = getPortfolioPnL([getContractPnL(main), getContractPnL(call)]);
+  assert.deepEqual(portfolio.ann, { positions: { main: 2, call: -1 }, realizedPnL: 2, unrealizedPnL: 5, totalPnL: 7 });
+  assert.deepEqual(portfolio.ben, { positions: { main: -2, call: 1 }, realizedPnL: -2, unrealizedPnL: -5, totalPnL: -7 });
+});
+
+test('getPortfolioPnL counts a settled derivative as realized and goes null with any unmarked position', () => {
+  const gameState = gameWith({ ann: 4, ben: 3 });
+  const main = gameState.contracts.main;
+  const call = createContract('call', 'Call 5', 'sum', { type: 'call', strike: 5 });
+  gameState.contracts.call = call;
+  updatePosition(call, 'ann', 1, 1);
+  updatePosition(call, 'ben', -1, 1);
+  settleContract(gameState, call);
+  updatePosition(main, 'ann', -1, 6);
+  updatePosition(main, 'ben', 1, 6);
+
+  const pnls = [getContractPnL(main), getContractPnL(call)];
+  assert.equal(pnls[1].settledPrice, 2);
+  const portfolio = getPortfolioPnL(pnls);
+  assert.deepEqual(portfolio.ann, { positions: { main: -1, call: 0 }, realizedPnL: 1, unrealizedPnL: null, totalPnL: null });
+
+  quote(main, 6, 8);
+  assert.deepEqual(getPortfolioPnL([getContractPnL(main), getContractPnL(call)]).ann,
+    { positions: { main: -1, call: 0 }, realizedPnL: 1, unrealizedPnL: -1, totalPnL: 0 });
+});
+
+test('minCash caps the fills of an ask at a negative price, which costs the seller cash', () => {
+  const contract = createContract('cal', 'Calendar', 'sum');
+  insertOrder(contract.book, { ...order('ben', 'bid', -4, 5), contractId: 'cal' });
+  const limits = { maxPosition: null, minCash: -10, maxOrderSize: null, maxOpenOrders: null };
+
+  const trades = matchOrders(contract, { ...order('ann', 'ask', -4, 5), contractId: 'cal' }, false, limits);
+  assert.deepEqual(trades.map(t => [t.seller, t.price, t.size]), [['ann', -4, 2]]);
+  assert.deepEqual(position(contract, 'ann'), { quantity: -2, totalCost: 8, realizedPnL: 0, cash: -8 });
+  assert.deepEqual(position(contract, 'ben'), { quantity: 2, totalCost: -8, realizedPnL: 0, cash: 8 });
+});
+
+test('checkRiskLimits applies minCash to every order that costs cash, bids and negative-price asks alike', () => {
+  const gameState = gameWith({ ann: 1 });
+  gameState.riskLimits = { ...gameState.riskLimits, minCash: -10 };
+  const contract = gameState.contracts.main;
+  const check = (side, price, size) => checkRiskLimits(gameState, contract, { playerName: 'ann', side, price, size, orderType: 'limit' });
+
+  assert.equal(check('ask', -3, 4).error, 'Order could take your cash below the minimum of -10');
+  assert.equal(check('ask', -2, 5), null);
+  assert.equal(check('ask', 50, 100), null);
+  assert.equal(check('bid', 3, 4).error, 'Order could take your cash below the minimum of -10');
+  assert.equal(check('bid', -50, 100), null);
+
+  // Resting asks below 0 count towards the next one
+  insertOrder(contract.book, order('ann', 'ask', -2, 3));
+  assert.equal(check('ask', -2, 3).error, 'Order could take your cash below the minimum of -10');
+  assert.equal(check('ask', -2, 2), null);
+});
@@ -1,4 +1,4 @@
-// Minimal server with in-memory game state and SSE broadcasting
+// Minimal server with in-memory game state, SSE broadcasting and a WebSocket for trading
 // No external dependencies (Node built-ins only)
 
 const http = require('http');
@@ -6,50 +6,379 @@ const fs = require('fs');
 const path = require('path');
 const url = require('url');
 const crypto = require('crypto');
+const { createBook, insertOrder, getOrder, removeOrder, clearBook, sideOrders, allOrders, playerOrders, bestOrder, bestPrice, fillableSize, match: matchBook, auctionVolume, auctionRange } = require('./orderbook');
 
-// Parse command line args for port (e.g., node server.js --port 3000)
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMATS = ['text', 'json'];
+
+// Parse command line args (e.g., node server.js --port 3000 --state-file game.jsonl --log-level debug --log-format json)
 function parseArgs() {
   const args = process.argv.slice(2);
   let port = process.env.PORT || 8080;
+  let stateFile = process.env.STATE_FILE || null;
+  let logLevel = process.env.LOG_LEVEL || 'info';
+  let logFormat = process.env.LOG_FORMAT || 'text';
   for (let i = 0; i < args.length; i++) {
     if ((args[i] === '--port' || args[i] === '-p') && args[i + 1]) {
       port = parseInt(args[i + 1], 10);
       if (isNaN(port)) port = 8080;
     }
+    if (args[i] === '--state-file' && args[i + 1]) {
+      stateFile = path.resolve(args[i + 1]);
+    }
+    if (args[i] === '--log-level' && args[i + 1]) logLevel = args[i + 1];
+    if (args[i] === '--log-format' && args[i + 1]) logFormat = args[i + 1];
+  }
+  if (!(logLevel in LOG_LEVELS)) {
+    console.error(`Unknown log level ${logLevel} (expected ${Object.keys(LOG_LEVELS).join(', ')}) - using info`);
+    logLevel = 'info';
+  }
+  if (!LOG_FORMATS.includes(logFormat)) {
+    console.error(`Unknown log format ${logFormat} (expected ${LOG_FORMATS.join(' or ')}) - using text`);
+    logFormat = 'text';
   }
-  return { port };
+  return { port, stateFile, logLevel, logFormat };
 }
 
-const { port: PORT } = parseArgs();
+const { port: PORT, stateFile: STATE_FILE, logLevel: LOG_LEVEL, logFormat: LOG_FORMAT } = parseArgs();
 
-// Generate random admin token on startup
+// --- Logging ---
+// log(level, tag, message, fields) prints "[TAG] message" lines, or with --log-format json one object per line
+// { time, level, tag, msg, ...fields } for log collectors. Levels below --log-level are dropped; warn and error go to stderr.
+function log(level, tag, message, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  if (LOG_FORMAT === 'json') stream.write(JSON.stringify({ time: new Date().toISOString(), level, tag, msg: message, ...fields }) + '\n');
+  else stream.write(`[${tag}] ${message}\n`);
+}
+
+// Stands in for secrets (admin and player tokens) in logs and the audit log
+const REDACTED = '(hidden)';
+
+// Generate random admin token on startup (printed by startServer)
 const ADMIN_TOKEN = crypto.randomBytes(16).toString('hex');
-console.log('\n' + '='.repeat(60));
-console.log('ADMIN TOKEN (save this for admin UI):');
-console.log(ADMIN_TOKEN);
-console.log('='.repeat(60) + '\n');
 
-// --- In-memory Game State (same shape as client) ---
-let gameState = {
-  players: {},        // { name: { siblingCount: number, revealed: boolean, isDummy: boolean } }
-  orders: [],         // [{ id, player, side: 'bid'|'ask', price:number, size:number, timestamp:number }]
-  trades: [],         // [{ id, buyer, seller, price, size, timestamp }]
-  positions: {},      // { name: { quantity:number, totalCost:number, realizedPnL:number } }
-  orderIdCounter: 1,
-  settledPrice: null,
-  turnOrder: [],      // [playerName1, playerName2, ...] - order of turns
-  currentTurnIndex: -1, // -1 = no active turn, otherwise index in turnOrder
-  priceHistory: [],   // [{ turn: number, midPrice: number|null }] - midprice after each turn
+// The token goes straight to stdout whatever the log level - never into the logs, which may be collected
+function printAdminToken() {
+  if (LOG_FORMAT === 'json') log('info', 'ADMIN', 'Admin token generated (printed to stdout)', { adminToken: REDACTED });
+  console.log('\n' + '='.repeat(60));
+  console.log('ADMIN TOKEN (save this for admin UI):');
+  console.log(ADMIN_TOKEN);
+  console.log('='.repeat(60) + '\n');
+}
+
+// --- Settlement Rules ---
+// Each contract settles at rule.compute(players) - the players' sibling counts are the hidden information
+const SETTLEMENT_RULES = {
+  sum: { label: 'Sum of siblings', compute: players => players.reduce((sum, p) => sum + p.siblingCount, 0) },
+  max: { label: 'Max siblings', compute: players => players.reduce((max, p) => Math.max(max, p.siblingCount), 0) },
+  zeroCount: { label: 'Players with 0 siblings', compute: players => players.filter(p => p.siblingCount === 0).length },
+};
+
+const DEFAULT_CONTRACT_ID = 'main';
+const MAX_CONTRACT_NAME_LENGTH = 48;
+const MARKET_MODES = ['continuous', 'auction'];
+
+// --- Derivatives ---
+// A contract with a derivative settles at a payoff of its rule's value (the underlying, e.g. the sum of
+// siblings) instead of the value itself. contract.derivative is null for a plain linear contract,
+// otherwise { type, ... } with the fields its payoff uses. A calendar spread pays the next tournament
+// round's value minus this round's: it stays open across nextRound, which fixes nearValue.
+// minPrice replaces rules.minPrice: options and binaries can be worth 0, a calendar spread less.
+const DERIVATIVE_TYPES = {
+  call: { label: 'Call', minPrice: 0, payoff: (d, value) => Math.max(0, value - d.strike) },
+  put: { label: 'Put', minPrice: 0, payoff: (d, value) => Math.max(0, d.strike - value) },
+  binary: { label: 'Binary', minPrice: 0, payoff: (d, value) => (value > d.strike ? d.payout : 0) },
+  calendar: { label: 'Calendar spread', minPrice: -Infinity, payoff: (d, value) => value - d.nearValue },
 };
-let version = 1; // monotonic version for clients (optional)
+const DEFAULT_BINARY_PAYOUT = 10;
+
+// What a contract pays if its underlying settles at value
+function contractPayoff(contract, value) {
+  return contract.derivative ? DERIVATIVE_TYPES[contract.derivative.type].payoff(contract.derivative, value) : value;
+}
+
+function contractLabel(rule, derivative) {
+  const underlying = SETTLEMENT_RULES[rule].label;
+  if (!derivative) return underlying;
+  if (derivative.type === 'binary') return `${underlying} above ${derivative.strike} (pays ${derivative.payout})`;
+  if (derivative.type === 'calendar') return `${underlying}: next round minus this round`;
+  return `${underlying} ${DERIVATIVE_TYPES[derivative.type].label} ${derivative.strike}`;
+}
+
+// A calendar spread whose near leg is still open settles in a later round
+function isPendingCalendar(contract) {
+  return !!contract.derivative && contract.derivative.type === 'calendar' && contract.derivative.nearValue === null;
+}
+
+function priceRulesFor(gameState, contract) {
+  return contract.derivative ? { ...gameState.rules, minPrice: DERIVATIVE_TYPES[contract.derivative.type].minPrice } : gameState.rules;
+}
+
+// Checks the derivative of /api/addContract; returns { error, ... } or { derivative } (null = linear)
+function validateDerivative(gameState, derivative) {
+  if (derivative === undefined || derivative === null) return { derivative: null };
+  const { type, strike, payout = DEFAULT_BINARY_PAYOUT } = derivative;
+  if (!Object.prototype.hasOwnProperty.call(DERIVATIVE_TYPES, type)) {
+    return { error: 'Unknown derivative type', types: Object.keys(DERIVATIVE_TYPES) };
+  }
+  if (type === 'calendar') {
+    if (!gameState.tournament) return { error: 'A calendar spread settles in the next tournament round - start a tournament first' };
+    return { derivative: { type, round: gameState.tournament.round, nearValue: null } };
+  }
+  if (!Number.isFinite(strike) || strike < 0) return { error: 'strike must be a number of at least 0' };
+  if (type !== 'binary') return { derivative: { type, strike } };
+  if (!Number.isFinite(payout) || payout <= 0) return { error: 'payout must be a positive number' };
+  return { derivative: { type, strike, payout } };
+}
+
+// --- In-memory Game State (same shape as client) ---
+// orderIndex: the game's gameState.orderIndex, shared by all its books (null for a book on its own)
+function createContract(id, name, rule, derivative = null, orderIndex = null) {
+  return {
+    id,
+    name,
+    rule,               // key of SETTLEMENT_RULES
+    derivative,         // null, or { type, strike?, payout?, round?, nearValue? } (see Derivatives)
+    book: createBook(orderIndex), // resting orders { id, contractId, player, side: 'bid'|'ask', price, size, timestamp } (see orderbook.js)
+    trades: [],         // [{ id, contractId, buyer, seller, price, size, timestamp }]
+    positions: {},      // { name: { quantity, totalCost, realizedPnL, cash } } - quantity < 0 is short; totalCost = quantity * average price
+    settledPrice: null,
+    priceHistory: [],   // [{ turn, midPrice, bestBid, bestAsk }] (number|null) - book after each turn
+    mode: 'continuous', // or 'auction': orders collect without matching until the admin uncrosses (see Call Auction)
+    indicative: null,   // { price, volume, surplus } - where an auction would uncross right now (null = nothing crosses)
+  };
+}
+
+// Per-player risk limits (null = no limit); positions and cash are checked per contract,
+// open orders across the whole game
+const NO_RISK_LIMITS = { maxPosition: null, minCash: null, maxOrderSize: null, maxOpenOrders: null };
+
+// Game rules the admin can change mid-game. Prices must be multiples of tickSize (decimals allowed)
+// between minPrice and maxPrice (null = no cap). tightenOrTrade applies to 'players' (everyone but
+// hand-entered dummy orders), 'all' orders or 'none'. advanceTurnOnCancel: own cancels use up the turn.
+const DEFAULT_RULES = { tickSize: 1, minPrice: 1, maxPrice: null, tightenOrTrade: 'players', allowMarketOrders: true, advanceTurnOnCancel: true };
+const TIGHTEN_OR_TRADE_MODES = ['players', 'all', 'none'];
+const MAX_TICK_DECIMALS = 6;
+
+// Panels of the public spectator page (/spectate) the admin can switch off, e.g. the leaderboard mid-game
+const DEFAULT_SPECTATOR_PANELS = { book: true, tape: true, chart: true, stats: true, leaderboard: true, players: true, news: true };
+
+function createInitialState() {
+  const orderIndex = new Map();
+  return {
+    players: {},        // { name: { siblingCount: number, revealed: boolean, isDummy: boolean } }
+    contracts: {        // { id: contract } - each contract has its own book, positions and settlement
+      [DEFAULT_CONTRACT_ID]: createContract(DEFAULT_CONTRACT_ID, SETTLEMENT_RULES.sum.label, 'sum', null, orderIndex),
+    },
+    orderIdCounter: 1,  // shared by all contracts so order ids are unique game-wide
+    orderIndex,         // Map: resting order id -> contractId, kept by the books (see findOrder)
+    bots: {},           // { name: { strategy, params } } - dummy players traded by BOT_STRATEGIES
+    riskLimits: { ...NO_RISK_LIMITS },
+    rules: { ...DEFAULT_RULES },
+    registrationOpen: true, // false = players can only claim names the admin has added (see /api/addPlayer)
+    tournament: null,   // { round, rounds: [{ round, standings, settled }] } while a tournament runs (see Tournaments)
+    turnOrder: [],      // [playerName1, playerName2, ...] - order of turns
+    currentTurnIndex: -1, // -1 = no active turn, otherwise index in turnOrder
+    turnCount: 0,       // turns completed so far (priceHistory turn numbers)
+    turnClock: { limitMs: null, deadline: null, remainingMs: null, paused: false }, // see restartTurnClock
+    revealSchedule: [], // [{ id, trigger, every|at|volume, effect, lastTurn, done }] (see Information Reveals)
+    revealRuleCounter: 1,
+    news: [],           // [{ id, timestamp, turn, kind: 'news'|'hint'|'reveal', text, player? }] - public messages
+    spectatorPanels: { ...DEFAULT_SPECTATOR_PANELS },
+    orderHistory: [],   // every placement, fill, amendment and cancellation (see logOrder) - admin exports only
+    roundArchive: [],   // [{ round, contracts, orderHistory }] - each finished tournament round (see nextRound) - admin exports only
+  };
+}
+
+// --- Rooms ---
+// One server hosts many named rooms, each a separate game with its own state, version, SSE clients,
+// player tokens and admin token. Routes under /r/<room>/... address a room; the unprefixed routes
+// (/api/..., /client, /admin) address the default room, whose admin token is ADMIN_TOKEN.
+const DEFAULT_ROOM = 'main';
+const ROOM_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+function createRoom(name, adminToken) {
+  return {
+    name,
+    adminToken,             // room admin token (ADMIN_TOKEN is accepted in every room too)
+    gameState: createInitialState(),
+    version: 1,             // monotonic version for clients (optional)
+    playerTokens: {},       // { name: token } - issued by addPlayer, kept outside gameState so it is never broadcast
+    sseClients: new Map(),  // res -> { token, contractId, lastVersion, send } (token is re-resolved on every broadcast)
+    wsClients: new Map(),   // socket -> same as sseClients (see WebSocket)
+    eventLog: [],           // recent commits [{ version, snapshot, events }] for streaming and Last-Event-ID resume
+    botLastMove: {},        // { name: ms } - when each bot last moved (not journaled)
+    auditLog: [],           // every admin action [{ id, version, ts, type, args, before, after }] - survives reset (see recordAudit)
+    restorePoints: [],      // [{ auditId, gameState, playerTokens }] - the room just before each of the last MAX_RESTORE_POINTS RESTORE_POINT_ACTIONS
+  };
+}
+
+const rooms = new Map([[DEFAULT_ROOM, createRoom(DEFAULT_ROOM, ADMIN_TOKEN)]]);
+
+function roomPath(room) {
+  return room.name === DEFAULT_ROOM ? '' : `/r/${encodeURIComponent(room.name)}`;
+}
+
+function generateToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// --- Per-viewer State ---
+// Admin sees everything; a player sees their own sibling count and cash; everyone else
+// only sees revealed counts. Cash in a contract becomes public once it is settled (final rankings).
+function resolveViewer(room, token) {
+  if (token && isAdminToken(room, token)) return { role: 'admin' };
+  if (token) {
+    const { playerTokens } = room;
+    const name = Object.keys(playerTokens).find(n => playerTokens[n] === token);
+    if (name) return { role: 'player', name };
+  }
+  return { role: 'public' };
+}
+
+function viewerKey(viewer) {
+  return viewer.role === 'player' ? `player:${viewer.name}` : viewer.role;
+}
+
+// Clients get the book as a flat orders array (bids then asks, each in priority order)
+function contractView(contract) {
+  const { book, ...rest } = contract;
+  return { ...rest, orders: allOrders(book) };
+}
+
+// Another player's position before settlement: only the quantity. Cash is realizedPnL - totalCost,
+// so the cost basis and realized P&L are hidden with it
+function redactPosition(pos) {
+  return { ...pos, cash: null, totalCost: null, realizedPnL: null };
+}
+
+// contractId (optional) limits the view to one contract
+function buildStateView(room, viewer, contractId = null) {
+  const { gameState } = room;
+  const isAdmin = viewer.role === 'admin';
+  const self = viewer.role === 'player' ? viewer.name : null;
+  const players = {};
+  for (const name of Object.keys(gameState.players)) {
+    const p = gameState.players[name];
+    const visible = isAdmin || p.revealed || name === self;
+    players[name] = visible ? p : { ...p, siblingCount: null };
+  }
+  const contracts = {};
+  for (const id of Object.keys(gameState.contracts)) {
+    if (contractId && id !== contractId) continue;
+    const contract = contractView(gameState.contracts[id]);
+    if (isAdmin || contract.settledPrice !== null) {
+      contracts[id] = contract;
+      continue;
+    }
+    const positions = {};
+    for (const name of Object.keys(contract.positions)) {
+      const pos = contract.positions[name];
+      positions[name] = name === self ? pos : redactPosition(pos);
+    }
+    contracts[id] = { ...contract, positions };
+  }
+  // The order history and past rounds are only served by the export endpoints, never streamed
+  const { orderHistory, roundArchive, orderIndex, ...shared } = gameState;
+  if (isAdmin) return { ...shared, players, contracts };
+  // Bot parameters (fair values, known players) are the admin's business; only the strategy is public
+  const bots = {};
+  for (const name of Object.keys(gameState.bots)) bots[name] = { strategy: gameState.bots[name].strategy };
+  return { ...shared, players, contracts, bots };
+}
+
+// --- Events ---
+// Every commit records the typed events its action emitted (orderAdded, orderReduced, orderRemoved,
+// trade, position, turn, clock, settled, tournament, auction, news). Structural actions are streamed as a full snapshot instead.
+const SNAPSHOT_ACTIONS = new Set(['addPlayer', 'setPlayerToken', 'addContract', 'removeContract', 'toggleReveal', 'reset', 'setTurnOrder', 'setBot', 'setRiskLimits', 'setRules', 'setRegistration', 'restoreSnapshot', 'startTournament', 'nextRound', 'addRevealRule', 'removeRevealRule', 'fireRevealRule', 'setSpectatorPanels']);
+const EVENT_LOG_LIMIT = 1000; // commits kept per room for resume; older clients get a snapshot
+
+let pendingEvents = null; // events emitted by the action being applied
 
-// --- SSE Clients ---
-const sseClients = new Set();
-function broadcastState() {
-  const payload = `data: ${JSON.stringify({ type: 'state', version, state: gameState })}\n\n`;
-  for (const res of sseClients) {
-    try { res.write(payload); } catch (_) { /* ignore */ }
+function emit(type, data) {
+  if (pendingEvents) pendingEvents.push({ type, contractId: null, ...data });
+}
+
+// --- Order History ---
+// Actions log what happens to each order; applyAction appends the rows to gameState.orderHistory
+// tagged with the number of turns completed when the action ran:
+// { ts, turn, contractId, orderId, player, event: 'placed'|'fill'|'amended'|'cancelled', side, price, size, ... }
+// Cancellations carry a reason: cancelled, admin, amended, risk, settled or unfilled (IOC/FOK/market rest).
+// Settling a contract adds { ts, turn, contractId, event: 'settled', price }. See rebuildContractAt.
+let pendingOrderLog = null;
+
+function logHistory(row) {
+  if (pendingOrderLog) pendingOrderLog.push({ ts: now(), ...row });
+}
+
+function logOrder(event, order, extra = {}) {
+  const { contractId, id: orderId, player, side, price, size } = order;
+  logHistory({ event, contractId, orderId, player, side, price, size, ...extra });
+}
+
+function recordEvents(room, type, events) {
+  const snapshot = SNAPSHOT_ACTIONS.has(type);
+  room.eventLog.push({
+    version: room.version,
+    snapshot,
+    events: snapshot ? [] : events.map(e => ({ version: room.version, ...e })),
+  });
+  if (room.eventLog.length > EVENT_LOG_LIMIT) room.eventLog.shift();
+}
+
+// A client that saw lastVersion can be brought up to date from the log alone
+function canResume(room, lastVersion) {
+  if (!Number.isInteger(lastVersion) || lastVersion < 0 || lastVersion > room.version) return false;
+  if (lastVersion === room.version) return true;
+  return room.eventLog.length > 0 && room.eventLog[0].version <= lastVersion + 1;
+}
+
+// Same redaction as buildStateView: other players' cash stays hidden until the contract settles
+function viewEvent(room, viewer, event) {
+  if (event.type !== 'position' || viewer.role === 'admin' || event.player === viewer.name) return event;
+  const contract = room.gameState.contracts[event.contractId];
+  if (contract && contract.settledPrice !== null) return event;
+  return { ...event, position: redactPosition(event.position) };
+}
+
+// Messages [{ version, data }] (data is the JSON text) bringing a client from client.lastVersion to the room's current version
+function pendingMessages(room, client, viewer) {
+  const missed = client.lastVersion === null ? [] : room.eventLog.filter(c => c.version > client.lastVersion);
+  if (client.lastVersion === null || missed.some(c => c.snapshot)) {
+    const state = buildStateView(room, viewer, client.contractId);
+    return [{ version: room.version, data: JSON.stringify({ type: 'state', version: room.version, state }) }];
+  }
+  const messages = [];
+  for (const commit of missed) {
+    for (const event of commit.events) {
+      // Streams subscribed to one contract skip events scoped to other contracts
+      if (client.contractId && event.contractId && event.contractId !== client.contractId) continue;
+      messages.push({ version: event.version, data: JSON.stringify(viewEvent(room, viewer, event)) });
+    }
   }
+  return messages;
+}
+
+// --- Stream Clients ---
+// SSE and WebSocket clients are both { token, contractId, lastVersion, send(messages) }
+function sseText(messages) {
+  return messages.map(m => `id: ${m.version}\ndata: ${m.data}\n\n`).join('');
+}
+
+function sendPending(room, client, payloads = {}) {
+  const viewer = resolveViewer(room, client.token);
+  const key = `${viewerKey(viewer)}|${client.contractId || ''}|${client.lastVersion}`;
+  if (payloads[key] === undefined) payloads[key] = pendingMessages(room, client, viewer);
+  client.lastVersion = room.version;
+  if (!payloads[key].length) return;
+  try { client.send(payloads[key]); } catch (_) { /* ignore */ }
+}
+
+function broadcastEvents(room) {
+  const payloads = {};
+  for (const client of room.sseClients.values()) sendPending(room, client, payloads);
+  for (const client of room.wsClients.values()) sendPending(room, client, payloads);
 }
 
 // --- Helpers ---
@@ -63,61 +392,346 @@ function sendJSON(res, code, obj) {
   res.end(body);
 }
 
+function sendCSV(res, filename, csv) {
+  res.writeHead(200, {
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Length': Buffer.byteLength(csv),
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store',
+  });
+  res.end(csv);
+}
+
 function notFound(res) { res.writeHead(404); res.end('Not found'); }
 
-function unauthorized(res) {
+function tooManyRequestsError(retryAfterMs) {
+  return { error: `Too many requests - try again in ${Math.ceil(retryAfterMs / 1000)}s`, retryAfterMs };
+}
+
+function tooManyRequests(res, retryAfterMs) {
+  res.setHeader('Retry-After', Math.ceil(retryAfterMs / 1000));
+  sendJSON(res, 429, tooManyRequestsError(retryAfterMs));
+}
+
+// A failure on the server's side, such as a journal write that failed (the action was then not applied):
+// logged and answered with 500, not blamed on the request
+function sendServerError(res, e) {
+  log('error', 'SERVER', `Request failed: ${e && e.message}`, { error: e && e.message });
+  if (res.headersSent) return res.end();
+  sendJSON(res, 500, { error: 'Internal server error' });
+}
+
+// Catch-all for request handlers: oversized bodies get 413 (and the connection is closed, since the
+// rest of the body is never read), unparseable bodies 400, anything else is the server's fault (500)
+function sendBodyError(res, e) {
+  if (e && e.statusCode === 413) {
+    res.setHeader('Connection', 'close');
+    return sendJSON(res, 413, { error: `Request body too large (limit ${MAX_BODY_BYTES} bytes)` });
+  }
+  if (e && e.statusCode === 400) return sendJSON(res, 400, { error: 'Bad JSON' });
+  sendServerError(res, e);
+}
+
+function unauthorized(res, message = 'Unauthorized - invalid admin token') {
   res.writeHead(401, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ error: 'Unauthorized - invalid admin token' }));
+  res.end(JSON.stringify({ error: message }));
 }
 
-function checkAdminAuth(req) {
+function getBearerToken(req) {
   const authHeader = req.headers['authorization'];
-  if (!authHeader) return false;
-  const token = authHeader.replace(/^Bearer\s+/i, '');
-  return token === ADMIN_TOKEN;
+  if (!authHeader) return null;
+  return authHeader.replace(/^Bearer\s+/i, '');
+}
+
+// Server admin (ADMIN_TOKEN) - manages rooms and administers every room
+function checkServerAdminAuth(req) {
+  return getBearerToken(req) === ADMIN_TOKEN;
+}
+
+function isAdminToken(room, token) {
+  return token === ADMIN_TOKEN || token === room.adminToken;
+}
+
+function checkAdminAuth(room, req) {
+  return isAdminToken(room, getBearerToken(req));
+}
+
+// Player actions need the token issued to that player (the admin token may act for anyone)
+function isPlayerToken(room, token, playerName) {
+  if (!token) return false;
+  if (isAdminToken(room, token)) return true;
+  const { playerTokens } = room;
+  return Object.hasOwn(playerTokens, playerName) && playerTokens[playerName] === token;
 }
 
+const MAX_BODY_BYTES = 64 * 1024;
+
 function readBody(req) {
   return new Promise((resolve, reject) => {
-    let data = '';
-    req.on('data', chunk => { data += chunk; if (data.length > 1e6) req.destroy(); });
+    const tooLarge = () => Object.assign(new Error('Request body too large'), { statusCode: 413 });
+    if (Number(req.headers['content-length']) > MAX_BODY_BYTES) return reject(tooLarge());
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) return chunks.push(chunk);
+      req.removeAllListeners('data');
+      req.pause();
+      reject(tooLarge());
+    });
     req.on('end', () => {
+      const data = Buffer.concat(chunks).toString();
       if (!data) return resolve({});
-      try { resolve(JSON.parse(data)); } catch (e) { reject(e); }
+      const badJSON = () => Object.assign(new Error('Bad JSON'), { statusCode: 400 });
+      let body;
+      try { body = JSON.parse(data); } catch (e) { return reject(badJSON()); }
+      // Handlers destructure the body, so null, numbers and strings are as bad as broken JSON
+      if (body === null || typeof body !== 'object') return reject(badJSON());
+      resolve(body);
     });
     req.on('error', reject);
   });
 }
 
+// --- Rate Limiting ---
+// Token buckets for the public routes: each request takes a token and tokens refill at perSecond up
+// to capacity. Players are told apart by their token, anyone else by IP address (a classroom behind
+// one NAT shares a bucket, hence the generous register capacity). Admin requests are never limited.
+const RATE_LIMITS = {
+  register: { capacity: 30, perSecond: 1 },
+  trade: { capacity: 20, perSecond: 5 },
+};
+const RATE_LIMITED_ROUTES = {
+  '/api/addPlayer': 'register',
+  '/api/submitOrder': 'trade',
+  '/api/amendOrder': 'trade',
+  '/api/cancelOrder': 'trade',
+  '/api/cancelOrders': 'trade',
+};
+const RATE_BUCKET_PRUNE_MS = 60 * 1000;
+const rateBuckets = new Map(); // `${kind}:${client}` -> { tokens, updatedAt }
+
+function refillBucket(bucket, limit, t) {
+  bucket.tokens = Math.min(limit.capacity, bucket.tokens + (t - bucket.updatedAt) / 1000 * limit.perSecond);
+  bucket.updatedAt = t;
+}
+
+// Only tokens issued in the room count as a client of their own, so made-up tokens share the IP's bucket
+function rateLimitClient(room, token, address) {
+  return token && Object.values(room.playerTokens).includes(token) ? token : address;
+}
+
+// Takes a token for the client; returns 0, or how many ms until the next token if there is none
+function takeRateToken(kind, client) {
+  const limit = RATE_LIMITS[kind];
+  const key = `${kind}:${client}`;
+  const t = Date.now();
+  const bucket = rateBuckets.get(key) || { tokens: limit.capacity, updatedAt: t };
+  refillBucket(bucket, limit, t);
+  rateBuckets.set(key, bucket);
+  if (bucket.tokens < 1) return Math.ceil((1 - bucket.tokens) / limit.perSecond * 1000);
+  bucket.tokens -= 1;
+  return 0;
+}
+
+// Full buckets are the same as no bucket, so drop them to keep the map small
+function pruneRateBuckets() {
+  const t = Date.now();
+  for (const [key, bucket] of rateBuckets) {
+    const limit = RATE_LIMITS[key.slice(0, key.indexOf(':'))];
+    refillBucket(bucket, limit, t);
+    if (bucket.tokens >= limit.capacity) rateBuckets.delete(key);
+  }
+}
+
+// --- Metrics ---
+// GET /metrics serves these in the Prometheus text format, GET /healthz is a liveness check. Requests
+// are counted per method, room-relative route and status (paths no route answers share the route "unmatched");
+// orders and trades are counted as they are committed, journal replay excluded.
+const STARTED_AT = Date.now();
+const LATENCY_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500];
+const ACTIVITY_WINDOW_MS = 60 * 1000; // orders and trades "per minute" = in the last minute
+const STREAMING_ROUTES = new Set(['/api/events']); // open until the client leaves, so no latency
+const requestMetrics = new Map(); // `${method} ${route}` -> { method, route, statuses: { code: count }, durations: { count, sumMs, buckets } }
+const activity = { orders: [], trades: [], ordersTotal: 0, tradesTotal: 0 }; // orders/trades: timestamps within the window
+
+// Room-relative, with the export kind as a placeholder so unknown kinds add no labels
+function routeLabel(pathname) {
+  return pathname.replace(/^\/r\/[^/]+/, '').replace(/^\/api\/export\/.*/, '/api/export/:kind') || '/';
+}
+
+function recordRequest(method, route, status, durationMs) {
+  const key = `${method} ${route}`;
+  let entry = requestMetrics.get(key);
+  if (!entry) {
+    entry = { method, route, statuses: {}, durations: { count: 0, sumMs: 0, buckets: LATENCY_BUCKETS_MS.map(() => 0) } };
+    requestMetrics.set(key, entry);
+  }
+  entry.statuses[status] = (entry.statuses[status] || 0) + 1;
+  if (STREAMING_ROUTES.has(route)) return;
+  entry.durations.count++;
+  entry.durations.sumMs += durationMs;
+  LATENCY_BUCKETS_MS.forEach((le, i) => { if (durationMs <= le) entry.durations.buckets[i]++; });
+}
+
+function pruneActivity(t) {
+  for (const list of [activity.orders, activity.trades]) {
+    while (list.length && list[0] <= t - ACTIVITY_WINDOW_MS) list.shift();
+  }
+}
+
+// Orders placed (amendments that re-queue included) and trades of one applied action
+function countActivity(orderLog, events) {
+  const t = Date.now();
+  for (const row of orderLog) {
+    if (row.event !== 'placed') continue;
+    activity.orders.push(t);
+    activity.ordersTotal++;
+  }
+  for (const event of events) {
+    if (event.type !== 'trade') continue;
+    activity.trades.push(t);
+    activity.tradesTotal++;
+  }
+  pruneActivity(t);
+}
+
+function metricLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function renderMetrics() {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value, suffix = ''] of samples) lines.push(`${name}${suffix}${metricLabels(labels)} ${value}`);
+  };
+  // Summed over rooms: /metrics is public, and room names are only listed to the server admin (/api/rooms)
+  const roomList = [...rooms.values()];
+  const allRooms = fn => [[{}, roomList.reduce((n, r) => n + fn(r), 0)]];
+  pruneActivity(Date.now());
+
+  metric('orderbook_uptime_seconds', 'gauge', 'Seconds since the server started.', [[{}, Math.round((Date.now() - STARTED_AT) / 1000)]]);
+  metric('orderbook_rooms', 'gauge', 'Open rooms.', [[{}, rooms.size]]);
+  metric('orderbook_sse_clients', 'gauge', 'Connected /api/events streams.', allRooms(r => r.sseClients.size));
+  metric('orderbook_ws_clients', 'gauge', 'Connected /api/ws sockets.', allRooms(r => r.wsClients.size));
+  metric('orderbook_actions', 'gauge', 'Committed actions in the open rooms (the sum of their state versions).', allRooms(r => r.version));
+  metric('orderbook_players', 'gauge', 'Registered players in the open rooms, dummies included.', allRooms(r => Object.keys(r.gameState.players).length));
+  metric('orderbook_orders_total', 'counter', 'Orders placed since the server started.', [[{}, activity.ordersTotal]]);
+  metric('orderbook_trades_total', 'counter', 'Trades since the server started.', [[{}, activity.tradesTotal]]);
+  metric('orderbook_orders_per_minute', 'gauge', 'Orders placed in the last minute.', [[{}, activity.orders.length]]);
+  metric('orderbook_trades_per_minute', 'gauge', 'Trades in the last minute.', [[{}, activity.trades.length]]);
+
+  const entries = [...requestMetrics.values()];
+  metric('orderbook_http_requests_total', 'counter', 'HTTP requests by method, route and status.',
+    entries.flatMap(e => Object.entries(e.statuses).map(([status, count]) => [{ method: e.method, route: e.route, status }, count])));
+  metric('orderbook_http_request_duration_seconds', 'histogram', 'HTTP request latency by method and route (streams excluded).',
+    entries.filter(e => e.durations.count).flatMap(e => {
+      const labels = { method: e.method, route: e.route };
+      return [
+        ...LATENCY_BUCKETS_MS.map((le, i) => [{ ...labels, le: le / 1000 }, e.durations.buckets[i], '_bucket']),
+        [{ ...labels, le: '+Inf' }, e.durations.count, '_bucket'],
+        [labels, e.durations.sumMs / 1000, '_sum'],
+        [labels, e.durations.count, '_count'],
+      ];
+    }));
+  return lines.join('\n') + '\n';
+}
+
 // --- Trading Logic (ported from index.html) ---
-function getBestBidAsk() {
-  const bids = gameState.orders.filter(o => o.side === 'bid').sort((a, b) => b.price - a.price || a.id - b.id);
-  const asks = gameState.orders.filter(o => o.side === 'ask').sort((a, b) => a.price - b.price || a.id - b.id);
+// --- Players ---
+const MAX_PLAYER_NAME_LENGTH = 24;
+const PLAYER_NAME_PATTERN = /^[\p{L}\p{N}](?:[\p{L}\p{N} _.'-]*[\p{L}\p{N}_.'-])?$/u;
+const MAX_SIBLING_COUNT = 50;
+
+// Checks addPlayer / addDummyPlayer input; returns an error message or null
+function validatePlayerInput(name, count) {
+  if (typeof name !== 'string' || name.length > MAX_PLAYER_NAME_LENGTH || !PLAYER_NAME_PATTERN.test(name)) {
+    return `Invalid name - use up to ${MAX_PLAYER_NAME_LENGTH} letters, digits, spaces or _ . ' - (starting with a letter or digit)`;
+  }
+  // Names are keys of plain objects (players, playerTokens, positions), so none may shadow Object.prototype
+  if (name in Object.prototype) return `The name ${name} is reserved`;
+  if (!Number.isInteger(count) || count < 0 || count > MAX_SIBLING_COUNT) {
+    return `Invalid sibling count - use a whole number from 0 to ${MAX_SIBLING_COUNT}`;
+  }
+  return null;
+}
+
+// The existing player whose name matches ignoring case, or null ("Alice" and "alice" cannot both play)
+function findPlayerName(gameState, name) {
+  const lower = name.toLowerCase();
+  return Object.keys(gameState.players).find(existing => existing.toLowerCase() === lower) || null;
+}
+
+// Own players only: a name such as "constructor" must not find an Object.prototype member
+function getPlayer(gameState, name) {
+  return typeof name === 'string' && Object.hasOwn(gameState.players, name) ? gameState.players[name] : null;
+}
+
+function getContract(gameState, contractId) {
+  const id = contractId || DEFAULT_CONTRACT_ID;
+  return Object.prototype.hasOwnProperty.call(gameState.contracts, id) ? gameState.contracts[id] : null;
+}
+
+// excludeOrderId: leave out an order being amended
+function getBestBidAsk(contract, excludeOrderId = null) {
   return {
-    bestBid: bids.length ? bids[0].price : null,
-    bestAsk: asks.length ? asks[0].price : null,
+    bestBid: bestPrice(contract.book, 'bid', excludeOrderId),
+    bestAsk: bestPrice(contract.book, 'ask', excludeOrderId),
   };
 }
 
-function getMidPrice() {
-  const { bestBid, bestAsk } = getBestBidAsk();
+function getMidPrice(contract) {
+  const { bestBid, bestAsk } = getBestBidAsk(contract);
   if (bestBid !== null && bestAsk !== null) {
     return (bestBid + bestAsk) / 2;
   }
   return null;
 }
 
-function capturePriceHistory() {
+function isTurnModeActive(gameState) {
+  return gameState.turnOrder.length > 0 && gameState.currentTurnIndex >= 0;
+}
+
+// skippedPlayer: the turn ran out of time (recorded on the priceHistory points)
+function advanceTurn(gameState, skippedPlayer = null) {
+  if (!isTurnModeActive(gameState)) return;
+  gameState.currentTurnIndex = (gameState.currentTurnIndex + 1) % gameState.turnOrder.length;
+  const prices = capturePriceHistory(gameState, skippedPlayer);
+  restartTurnClock(gameState);
+  emit('turn', { currentTurnIndex: gameState.currentTurnIndex, turnCount: gameState.turnCount, prices, clock: { ...gameState.turnClock } });
+}
+
+// Each turn gets limitMs: deadline while the clock runs, remainingMs while it is paused
+function restartTurnClock(gameState) {
+  const clock = gameState.turnClock;
+  clock.deadline = null;
+  clock.remainingMs = null;
+  if (clock.limitMs === null || !isTurnModeActive(gameState)) return;
+  if (clock.paused) clock.remainingMs = clock.limitMs;
+  else clock.deadline = now() + clock.limitMs;
+}
+
+// Returns the captured points as [{ contractId, turn, midPrice, skipped? }]
+function capturePriceHistory(gameState, skippedPlayer = null) {
+  const prices = [];
   // Only capture if turn-based mode is active
-  if (gameState.turnOrder.length > 0 && gameState.currentTurnIndex >= 0) {
-    const turnNumber = gameState.priceHistory.length + 1;
-    const midPrice = getMidPrice();
-    gameState.priceHistory.push({ turn: turnNumber, midPrice });
+  if (isTurnModeActive(gameState)) {
+    gameState.turnCount++;
+    for (const contract of Object.values(gameState.contracts)) {
+      if (contract.settledPrice !== null) continue;
+      const point = { turn: gameState.turnCount, midPrice: getMidPrice(contract), ...getBestBidAsk(contract) };
+      if (skippedPlayer) point.skipped = skippedPlayer;
+      contract.priceHistory.push(point);
+      prices.push({ contractId: contract.id, ...point });
+    }
   }
+  return prices;
 }
 
-function canPlaceOrder(side, price) {
-  const { bestBid, bestAsk } = getBestBidAsk();
+function canPlaceOrder(contract, side, price, excludeOrderId = null) {
+  const { bestBid, bestAsk } = getBestBidAsk(contract, excludeOrderId);
   if (side === 'bid') {
     if (bestBid === null) return true;
     if (price > bestBid) return true;
@@ -131,170 +745,1782 @@ function canPlaceOrder(side, price) {
   }
 }
 
-function ensurePosition(name) {
-  if (!gameState.positions[name]) {
-    gameState.positions[name] = { quantity: 0, totalCost: 0, realizedPnL: 0, cash: 0 };
+// Decimal places of a tick size (0.25 -> 2), so prices on the grid can be rounded free of float noise
+function tickDecimals(tickSize) {
+  for (let d = 0; d < MAX_TICK_DECIMALS; d++) {
+    if (Number(tickSize.toFixed(d)) === tickSize) return d;
+  }
+  return MAX_TICK_DECIMALS;
+}
+
+// Nearest price on the tick grid; round = Math.floor / Math.ceil picks the grid price below / above
+function roundToTick(price, tickSize, round = Math.round) {
+  const steps = round(Number((price / tickSize).toFixed(9)));
+  return Number((steps * tickSize).toFixed(tickDecimals(tickSize)));
+}
+
+// Checks a price against the rules; returns { error, ... } or { price } snapped to the tick grid
+function checkPrice(rules, price) {
+  const p = Number(price);
+  if (!Number.isFinite(p)) return { error: 'Invalid price' };
+  const snapped = roundToTick(p, rules.tickSize);
+  if (Math.abs(snapped - p) > 1e-9) return { error: `Price must be a multiple of the tick size ${rules.tickSize}`, tickSize: rules.tickSize };
+  if (snapped < rules.minPrice) return { error: `Price must be at least ${rules.minPrice}`, minPrice: rules.minPrice };
+  if (rules.maxPrice !== null && snapped > rules.maxPrice) return { error: `Price must be at most ${rules.maxPrice}`, maxPrice: rules.maxPrice };
+  return { price: snapped };
+}
+
+// Checks a complete rules object (current rules merged with an update); returns an error message or null
+function validateRules(rules) {
+  const { tickSize, minPrice, maxPrice } = rules;
+  if (!Number.isFinite(tickSize) || tickSize <= 0 || roundToTick(tickSize, 10 ** -MAX_TICK_DECIMALS) !== tickSize) {
+    return `tickSize must be a positive number with at most ${MAX_TICK_DECIMALS} decimals`;
+  }
+  if (!Number.isFinite(minPrice) || minPrice < 0) return 'minPrice must be a number of at least 0';
+  if (roundToTick(minPrice, tickSize) !== minPrice) return 'minPrice must be a multiple of tickSize';
+  if (maxPrice !== null) {
+    if (!Number.isFinite(maxPrice) || maxPrice <= minPrice) return 'maxPrice must be null or a number above minPrice';
+    if (roundToTick(maxPrice, tickSize) !== maxPrice) return 'maxPrice must be a multiple of tickSize';
+  }
+  if (!TIGHTEN_OR_TRADE_MODES.includes(rules.tightenOrTrade)) return `tightenOrTrade must be one of ${TIGHTEN_OR_TRADE_MODES.join(', ')}`;
+  if (typeof rules.allowMarketOrders !== 'boolean') return 'allowMarketOrders must be true or false';
+  if (typeof rules.advanceTurnOnCancel !== 'boolean') return 'advanceTurnOnCancel must be true or false';
+  return null;
+}
+
+function findOrder(gameState, orderId) {
+  const contractId = gameState.orderIndex.get(orderId);
+  const contract = contractId === undefined ? null : getContract(gameState, contractId);
+  const order = contract && getOrder(contract.book, orderId);
+  return order ? { contract, order } : null;
+}
+
+function ensurePosition(contract, name) {
+  if (!contract.positions[name]) {
+    contract.positions[name] = { quantity: 0, totalCost: 0, realizedPnL: 0, cash: 0 };
+  }
+  // Ensure cash field exists (for backwards compatibility with existing positions)
+  if (contract.positions[name].cash === undefined) {
+    contract.positions[name].cash = 0;
+  }
+}
+
+function updatePosition(contract, player, quantity, price) {
+  ensurePosition(contract, player);
+  const pos = contract.positions[player];
+  
+  // Cash flow: buying decreases cash, selling increases cash
+  const cashBefore = pos.cash;
+  pos.cash -= quantity * price;
+  log('debug', 'CASH', `${contract.id} ${player}: ${cashBefore.toFixed(2)} -> ${pos.cash.toFixed(2)} (qty=${quantity}, price=${price})`,
+    { contractId: contract.id, player, cashBefore, cash: pos.cash, quantity, price });
+  
+  // A trade against the position's direction first closes it at the average price (realizing P&L
+  // for a sale out of a long or a buy covering a short); whatever is left opens a position at price
+  let opening = quantity;
+  if (pos.quantity !== 0 && Math.sign(quantity) !== Math.sign(pos.quantity)) {
+    const avgPrice = getAvgPrice(pos);
+    const closed = Math.sign(pos.quantity) * Math.min(Math.abs(quantity), Math.abs(pos.quantity));
+    pos.realizedPnL += closed * (price - avgPrice);
+    pos.quantity -= closed;
+    pos.totalCost = pos.quantity === 0 ? 0 : pos.totalCost - closed * avgPrice;
+    opening = quantity + closed;
+  }
+  if (opening !== 0) {
+    pos.quantity += opening;
+    pos.totalCost += opening * price;
+  }
+  emit('position', { contractId: contract.id, player, position: { ...pos } });
+}
+
+// Average entry price of an open position (long or short), null when flat
+function getAvgPrice(pos) {
+  return pos.quantity !== 0 ? pos.totalCost / pos.quantity : null;
+}
+
+// P&L of the open quantity if it were closed at markPrice (null when there is no price to mark to)
+function getUnrealizedPnL(pos, markPrice) {
+  if (pos.quantity === 0) return 0;
+  if (markPrice === null) return null;
+  return pos.quantity * (markPrice - getAvgPrice(pos));
+}
+
+// Every player's realized P&L plus the unrealized P&L of their open quantity marked to the mid
+function getContractPnL(contract) {
+  const midPrice = getMidPrice(contract);
+  const players = {};
+  for (const name of Object.keys(contract.positions)) {
+    const pos = contract.positions[name];
+    const unrealizedPnL = getUnrealizedPnL(pos, midPrice);
+    players[name] = {
+      quantity: pos.quantity,
+      avgPrice: getAvgPrice(pos),
+      realizedPnL: pos.realizedPnL,
+      unrealizedPnL,
+      totalPnL: unrealizedPnL === null ? null : pos.realizedPnL + unrealizedPnL,
+    };
+  }
+  return { contractId: contract.id, midPrice, settledPrice: contract.settledPrice, players };
+}
+
+// Another player's row before settlement (see redactPosition): the average price would give the cost basis away
+function redactPnL(row) {
+  return { ...row, avgPrice: null, realizedPnL: null, unrealizedPnL: null, totalPnL: null };
+}
+
+// Each player's P&L summed over contracts (getContractPnL results), with their position in each -
+// a hedged book shows here (totalPnL is null while any open position has no price to mark to, or
+// any contract's figures are hidden from the caller)
+function getPortfolioPnL(contractPnLs) {
+  const portfolio = {};
+  const add = (a, b) => (a === null || b === null ? null : a + b);
+  for (const { contractId, players } of contractPnLs) {
+    for (const name of Object.keys(players)) {
+      const row = players[name];
+      if (!portfolio[name]) portfolio[name] = { positions: {}, realizedPnL: 0, unrealizedPnL: 0, totalPnL: 0 };
+      const total = portfolio[name];
+      total.positions[contractId] = row.quantity;
+      total.realizedPnL = add(total.realizedPnL, row.realizedPnL);
+      total.unrealizedPnL = add(total.unrealizedPnL, row.unrealizedPnL);
+      total.totalPnL = add(total.realizedPnL, total.unrealizedPnL);
+    }
+  }
+  return portfolio;
+}
+
+// Cash one unit bought (bid) or sold (ask) at price costs; negative when it brings cash in
+function unitCost(side, price) {
+  return side === 'bid' ? price : -price;
+}
+
+// Units player could still trade on side at price without breaching maxPosition or minCash
+function riskCapacity(contract, player, side, price, limits) {
+  const pos = contract.positions[player] || { quantity: 0, cash: 0 };
+  let capacity = Infinity;
+  if (limits.maxPosition !== null) {
+    capacity = Math.min(capacity, Math.max(0, side === 'bid' ? limits.maxPosition - pos.quantity : limits.maxPosition + pos.quantity));
+  }
+  // Only trades that cost cash count: bids above 0 and asks below 0 (calendar spreads can trade negative)
+  const cost = unitCost(side, price);
+  if (limits.minCash !== null && cost > 0) {
+    capacity = Math.min(capacity, Math.max(0, Math.floor((pos.cash - limits.minCash) / cost)));
+  }
+  return capacity;
+}
+
+// A resting order whose owner can no longer trade it within the limits leaves the book
+// (matchBook removes it when the fill callback returns 0)
+function cancelForRisk(contract, order) {
+  emit('orderRemoved', { contractId: contract.id, orderId: order.id, reason: 'risk' });
+  logOrder('cancelled', order, { reason: 'risk' });
+  log('info', 'RISK', `${contract.id}: cancelled order #${order.id} of ${order.player} - risk limit reached`, { contractId: contract.id, orderId: order.id, player: order.player });
+}
+
+// A trade between two players at price: recorded on the contract and both positions
+function recordTrade(contract, buyer, seller, price, size) {
+  const trade = {
+    id: contract.trades.length + 1,
+    contractId: contract.id,
+    buyer,
+    seller,
+    price,
+    size,
+    timestamp: now(),
+  };
+  contract.trades.push(trade);
+  emit('trade', { contractId: contract.id, trade });
+  log('info', 'TRADE', `${contract.id}: ${buyer} buys from ${seller} @ ${price} x ${size}`, { contractId: contract.id, tradeId: trade.id, buyer, seller, price, size });
+  updatePosition(contract, buyer, size, price);
+  updatePosition(contract, seller, -size, price);
+  log('debug', 'POSITIONS', `Buyer: ${JSON.stringify(contract.positions[buyer])}, Seller: ${JSON.stringify(contract.positions[seller])}`,
+    { contractId: contract.id, buyer: contract.positions[buyer], seller: contract.positions[seller] });
+  return trade;
+}
+
+// A resting order traded in trade, leaving remaining
+function fillResting(contract, order, trade, remaining) {
+  logOrder('fill', order, { price: trade.price, size: trade.size, tradeId: trade.id, remaining });
+  if (remaining === 0) {
+    emit('orderRemoved', { contractId: contract.id, orderId: order.id, reason: 'filled' });
+  } else {
+    emit('orderReduced', { contractId: contract.id, orderId: order.id, size: remaining });
+  }
+}
+
+// The one matching path for every order type: newOrder.price null = market order (any price).
+// rest = false: any unfilled remainder is dropped instead of resting (market / IOC / FOK).
+// Every fill is checked against both players' risk limits before it happens: the incoming order
+// stops (its remainder is dropped) when its owner hits a limit, resting orders are cancelled.
+// In a call auction orders only rest (validateOrder lets nothing else in) until uncrossContract.
+function matchOrders(contract, newOrder, rest = true, limits = NO_RISK_LIMITS) {
+  if (contract.mode === 'auction') {
+    insertOrder(contract.book, newOrder);
+    emit('orderAdded', { contractId: contract.id, order: { ...newOrder } });
+    return [];
+  }
+  const trades = [];
+  let stopped = false;
+  const remaining = matchBook(contract.book, newOrder, (order, left) => {
+    const incomingCapacity = riskCapacity(contract, newOrder.player, newOrder.side, order.price, limits);
+    if (incomingCapacity === 0) {
+      log('info', 'RISK', `${contract.id}: ${newOrder.player} reached a risk limit - rest of order #${newOrder.id} dropped`, { contractId: contract.id, orderId: newOrder.id, player: newOrder.player });
+      stopped = true;
+      return null;
+    }
+    const restingCapacity = riskCapacity(contract, order.player, order.side, order.price, limits);
+    if (restingCapacity === 0) {
+      cancelForRisk(contract, order);
+      return 0;
+    }
+    const tradeSize = Math.min(left, order.size, incomingCapacity, restingCapacity);
+    const tradePrice = order.price; // passive price
+    const trade = newOrder.side === 'bid'
+      ? recordTrade(contract, newOrder.player, order.player, tradePrice, tradeSize)
+      : recordTrade(contract, order.player, newOrder.player, tradePrice, tradeSize);
+    trades.push(trade);
+    logOrder('fill', newOrder, { price: tradePrice, size: tradeSize, tradeId: trade.id, remaining: left - tradeSize });
+    fillResting(contract, order, trade, order.size - tradeSize);
+    return tradeSize;
+  });
+
+  if (remaining > 0 && rest && !stopped) {
+    newOrder.size = remaining;
+    insertOrder(contract.book, newOrder);
+    emit('orderAdded', { contractId: contract.id, order: { ...newOrder } });
+  } else if (remaining > 0) {
+    logOrder('cancelled', newOrder, { size: remaining, reason: 'unfilled' });
+  }
+  return trades;
+}
+
+function getUnderlyingValue(gameState, contract) {
+  return SETTLEMENT_RULES[contract.rule].compute(Object.values(gameState.players));
+}
+
+function getSettlementPrice(gameState, contract) {
+  return contractPayoff(contract, getUnderlyingValue(gameState, contract));
+}
+
+function settleContract(gameState, contract) {
+  if (Object.keys(gameState.players).length === 0) return { error: 'No players added yet' };
+  const settlementPrice = getSettlementPrice(gameState, contract);
+  contract.settledPrice = settlementPrice;
+  
+  log('info', 'SETTLEMENT', `${contract.id} (${contract.name}) settling at price ${settlementPrice}`, { contractId: contract.id, price: settlementPrice });
+  
+  for (const name of Object.keys(contract.positions)) {
+    const pos = contract.positions[name];
+    if (pos.quantity !== 0) {
+      // The open position is closed at the settlement price
+      pos.realizedPnL += getUnrealizedPnL(pos, settlementPrice);
+      
+      // Cash settlement: receive cash for position value at settlement price
+      // Long position: receive quantity * settledPrice
+      // Short position: pay quantity * settledPrice (negative quantity means paying)
+      const settlementCash = pos.quantity * settlementPrice;
+      pos.cash += settlementCash;
+      
+      log('info', 'SETTLEMENT', `${contract.id} ${name}: position=${pos.quantity}, settlementCash=${settlementCash.toFixed(2)}, finalCash=${pos.cash.toFixed(2)}`,
+        { contractId: contract.id, player: name, quantity: pos.quantity, settlementCash, cash: pos.cash });
+      
+      // Clear position
+      pos.quantity = 0;
+      pos.totalCost = 0;
+    }
+    // Every position is re-sent: cash becomes public once the contract settles
+    emit('position', { contractId: contract.id, player: name, position: { ...pos } });
+  }
+  
+  // Resting orders can no longer trade
+  for (const order of allOrders(contract.book)) {
+    emit('orderRemoved', { contractId: contract.id, orderId: order.id, reason: 'settled' });
+    logOrder('cancelled', order, { reason: 'settled' });
+  }
+  clearBook(contract.book);
+  emit('settled', { contractId: contract.id, settledPrice: settlementPrice });
+  logHistory({ event: 'settled', contractId: contract.id, price: settlementPrice });
+  
+  return { contractId: contract.id, settledPrice: settlementPrice };
+}
+
+// Turn-based mode: only the current player may act
+function checkTurn(gameState, playerName) {
+  if (!isTurnModeActive(gameState)) return null;
+  const currentPlayer = gameState.turnOrder[gameState.currentTurnIndex];
+  return playerName === currentPlayer ? null : { error: 'Not your turn', currentPlayer };
+}
+
+// limit rests (good till cancelled); ioc trades what it can now and drops the rest; fok trades its
+// whole size now or not at all; postOnly must rest without trading (it only ever adds liquidity)
+const ORDER_TYPES = ['limit', 'market', 'ioc', 'fok', 'postOnly'];
+
+// Pre-trade risk checks for an order that may fill completely (and, unless IOC/FOK/market, rest).
+// Resting orders of the player on the same side count as already filled. excludeOrderId leaves
+// out the order being amended. Returns { error, ... } or null.
+function checkRiskLimits(gameState, contract, { playerName, side, price, size, orderType, excludeOrderId = null }) {
+  const limits = gameState.riskLimits;
+  if (limits.maxOrderSize !== null && size > limits.maxOrderSize) {
+    return { error: `Order size exceeds the limit of ${limits.maxOrderSize}`, limit: limits.maxOrderSize };
+  }
+  const mayRest = orderType === 'limit' || orderType === 'postOnly';
+  if (mayRest && limits.maxOpenOrders !== null) {
+    const open = Object.values(gameState.contracts)
+      .reduce((n, c) => n + playerOrders(c.book, playerName).filter(o => o.id !== excludeOrderId).length, 0);
+    if (open >= limits.maxOpenOrders) {
+      return { error: `Too many open orders (limit ${limits.maxOpenOrders}) - cancel one first`, limit: limits.maxOpenOrders };
+    }
+  }
+  const pos = contract.positions[playerName] || { quantity: 0, cash: 0 };
+  const sameSide = playerOrders(contract.book, playerName).filter(o => o.side === side && o.id !== excludeOrderId);
+  if (limits.maxPosition !== null) {
+    const pending = sameSide.reduce((n, o) => n + o.size, 0) + size;
+    const projected = side === 'bid' ? pos.quantity + pending : pos.quantity - pending;
+    // Orders that bring an oversized position back towards the limit are always allowed
+    if (Math.abs(projected) > limits.maxPosition && Math.abs(projected) > Math.abs(pos.quantity)) {
+      return { error: `Order could take your position to ${projected} (limit ±${limits.maxPosition})`, limit: limits.maxPosition, position: pos.quantity };
+    }
+  }
+  if (limits.minCash !== null) {
+    let orderCost = 0;
+    if (price !== null) {
+      orderCost = size * unitCost(side, price);
+    } else {
+      // Market order: walk the other side it would take
+      let left = size;
+      for (const o of sideOrders(contract.book, side === 'bid' ? 'ask' : 'bid')) {
+        if (left <= 0) break;
+        const fill = Math.min(left, o.size);
+        orderCost += fill * unitCost(side, o.price);
+        left -= fill;
+      }
+    }
+    // Orders that bring cash in are always allowed
+    const cost = sameSide.reduce((n, o) => n + o.size * unitCost(side, o.price), 0) + orderCost;
+    if (orderCost > 0 && pos.cash - cost < limits.minCash) {
+      return { error: `Order could take your cash below the minimum of ${limits.minCash}`, limit: limits.minCash, cash: pos.cash };
+    }
+  }
+  return null;
+}
+
+// Order checks shared by /api/submitOrder and bots; returns { error, ... } or { args } for the submitOrder action
+function validateOrder(gameState, { contractId, playerName, side, price, size, orderType = 'limit' }) {
+  if (!ORDER_TYPES.includes(orderType)) return { error: 'Unknown order type', orderTypes: ORDER_TYPES };
+  const contract = getContract(gameState, contractId);
+  if (!contract) return { error: 'Unknown contract' };
+  if (contract.settledPrice !== null) return { error: 'Contract already settled' };
+  const s = Number(size);
+  if (!Number.isInteger(s) || s <= 0) return { error: 'Invalid size' };
+  
+  const turnError = checkTurn(gameState, playerName);
+  if (turnError) return turnError;
+  
+  // A call auction only collects limit orders; they may cross (see uncrossContract)
+  const auction = contract.mode === 'auction';
+  if (auction && orderType !== 'limit') return { error: 'Only limit orders are accepted during the call auction' };
+  
+  // Handle market order vs limit order
+  const { rules } = gameState;
+  let p = null;
+  if (orderType === 'market') {
+    if (!rules.allowMarketOrders) return { error: 'Market orders are not allowed in this game' };
+    // Market order needs at least some liquidity on the other side (partial fills are fine)
+    if (bestPrice(contract.book, side === 'bid' ? 'ask' : 'bid') === null) {
+      return { error: 'Insufficient liquidity - market order could not be filled' };
+    }
+  } else {
+    // Priced orders: validate price, then the rule for the order type
+    const priceCheck = checkPrice(priceRulesFor(gameState, contract), price);
+    if (priceCheck.error) return priceCheck;
+    p = priceCheck.price;
+    const { bestBid, bestAsk } = getBestBidAsk(contract);
+    const fillable = fillableSize(contract.book, side, p);
+    
+    if (orderType === 'ioc' && fillable === 0) {
+      return { error: 'Immediate-or-cancel order would not trade - nothing to trade against at that price', bestBid, bestAsk };
+    }
+    if (orderType === 'fok' && fillable < s) {
+      return { error: 'Fill-or-kill order cannot be filled in full at that price', available: fillable, bestBid, bestAsk };
+    }
+    if (orderType === 'postOnly' && fillable > 0) {
+      return { error: 'Post-only order would trade immediately', bestBid, bestAsk };
+    }
+    
+    // tighten or trade rule (IOC / FOK always trade, so only resting orders are checked)
+    const mayRest = orderType === 'limit' || orderType === 'postOnly';
+    if (mayRest && !auction && rules.tightenOrTrade !== 'none' && !canPlaceOrder(contract, side, p)) {
+      return { error: 'Tighten or trade', bestBid, bestAsk };
+    }
+  }
+  
+  const riskError = checkRiskLimits(gameState, contract, { playerName, side, price: p, size: s, orderType });
+  if (riskError) return riskError;
+  return { args: { contractId: contract.id, playerName, side, price: p, size: s, orderType } };
+}
+
+// Checks an amendment of a resting order; returns { error, ... } or { args } for the amendOrder action
+function validateAmend(gameState, { order, contract, price, size }) {
+  if (contract.settledPrice !== null) return { error: 'Contract already settled' };
+  const { rules } = gameState;
+  let p = order.price;
+  // Orders resting at a price the rules no longer allow can still be reduced in place
+  if (price !== undefined && price !== null && Number(price) !== order.price) {
+    const priceCheck = checkPrice(priceRulesFor(gameState, contract), price);
+    if (priceCheck.error) return priceCheck;
+    p = priceCheck.price;
+  }
+  const s = size === undefined || size === null ? order.size : Number(size);
+  if (!Number.isInteger(s) || s <= 0) return { error: 'Invalid size - cancel the order instead' };
+  if (p === order.price && s === order.size) return { error: 'Nothing to amend' };
+  
+  const turnError = checkTurn(gameState, order.player);
+  if (turnError) return turnError;
+  
+  // The amended order must tighten or trade against the book without itself in it (not in a call auction)
+  if (contract.mode !== 'auction' && rules.tightenOrTrade !== 'none' && !canPlaceOrder(contract, order.side, p, order.id)) {
+    const { bestBid, bestAsk } = getBestBidAsk(contract, order.id);
+    return { error: 'Tighten or trade', bestBid, bestAsk };
+  }
+  
+  const riskError = checkRiskLimits(gameState, contract, { playerName: order.player, side: order.side, price: p, size: s, orderType: 'limit', excludeOrderId: order.id });
+  if (riskError) return riskError;
+  return { args: { orderId: order.id, price: p, size: s } };
+}
+
+// --- Exports ---
+// Admin downloads for the debrief: each export is a list of flat rows, served as JSON or CSV
+const EXPORT_COLUMNS = {
+  trades: ['contractId', 'id', 'timestamp', 'buyer', 'seller', 'price', 'size'],
+  tournament: ['rank', 'player', 'total'], // followed by one column per round (see tournamentColumns)
+  orders: ['ts', 'turn', 'contractId', 'orderId', 'player', 'event', 'side', 'price', 'size', 'orderType', 'reason', 'tradeId', 'remaining', 'replaces', 'replacedBy'],
+  priceHistory: ['contractId', 'turn', 'midPrice', 'bestBid', 'bestAsk', 'spread', 'skipped'],
+  pnl: ['contractId', 'player', 'quantity', 'avgPrice', 'cash', 'realizedPnL', 'unrealizedPnL', 'markPrice', 'pnl'],
+  leaderboard: ['rank', 'player', 'pnl'],
+};
+const REPORT_COLUMNS = ['contractId', 'name', 'rule', 'settledPrice', 'tradeCount', 'volume', 'vwap', 'high', 'low', 'lastPrice', 'averageSpread'];
+
+// Text cells starting with = + - @ get a leading ' so spreadsheets do not run player names as formulas
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(columns, rows) {
+  return [columns.join(','), ...rows.map(row => columns.map(c => csvCell(row[c])).join(','))].join('\n') + '\n';
+}
+
+function getSpread({ bestBid, bestAsk }) {
+  return bestBid !== null && bestBid !== undefined && bestAsk !== null && bestAsk !== undefined ? bestAsk - bestBid : null;
+}
+
+// Open positions are valued at the settlement price, else the mid, else the last trade (null if none)
+function getMarkPrice(contract) {
+  if (contract.settledPrice !== null) return contract.settledPrice;
+  const mid = getMidPrice(contract);
+  if (mid !== null) return mid;
+  return contract.trades.length ? contract.trades[contract.trades.length - 1].price : null;
+}
+
+// contractId null = every contract
+function pnlRows(gameState, contractId = null) {
+  const rows = [];
+  for (const contract of Object.values(gameState.contracts)) {
+    if (contractId && contract.id !== contractId) continue;
+    const markPrice = getMarkPrice(contract);
+    const { players } = getContractPnL(contract);
+    for (const player of Object.keys(contract.positions)) {
+      const { quantity, cash } = contract.positions[player];
+      const { avgPrice, realizedPnL, unrealizedPnL } = players[player];
+      const pnl = quantity === 0 ? cash : markPrice === null ? null : cash + quantity * markPrice;
+      rows.push({ contractId: contract.id, player, quantity, avgPrice, cash, realizedPnL, unrealizedPnL, markPrice, pnl });
+    }
+  }
+  return rows;
+}
+
+// Players ranked by P&L summed over contracts (a position that cannot be valued counts as 0)
+function buildLeaderboard(gameState, contractId = null) {
+  return rankByPnL(pnlRows(gameState, contractId));
+}
+
+function rankByPnL(rows) {
+  const totals = {};
+  for (const row of rows) {
+    totals[row.player] = (totals[row.player] || 0) + (row.pnl || 0);
+  }
+  return Object.keys(totals)
+    .sort((a, b) => totals[b] - totals[a] || a.localeCompare(b))
+    .map((player, i) => ({ rank: i + 1, player, pnl: totals[player] }));
+}
+
+// The game as it stood at the end of a finished tournament round, for exportRows (null = unknown round)
+function archivedRound(gameState, round) {
+  const entry = gameState.roundArchive.find(r => r.round === round);
+  return entry ? { ...gameState, contracts: entry.contracts, orderHistory: entry.orderHistory } : null;
+}
+
+function exportRows(gameState, kind, contractId = null) {
+  const contracts = Object.values(gameState.contracts).filter(c => !contractId || c.id === contractId);
+  switch (kind) {
+    case 'trades':
+      return contracts.flatMap(c => c.trades).sort((a, b) => a.timestamp - b.timestamp);
+    case 'orders':
+      return gameState.orderHistory.filter(row => !contractId || row.contractId === contractId);
+    case 'priceHistory':
+      return contracts.flatMap(c => c.priceHistory.map(p => ({ contractId: c.id, ...p, spread: getSpread(p) })));
+    case 'pnl':
+      return pnlRows(gameState, contractId);
+    case 'leaderboard':
+      return buildLeaderboard(gameState, contractId);
+    case 'tournament':
+      return tournamentTable(gameState);
+  }
+  return [];
+}
+
+// Per-contract volume, VWAP and spread over time, plus the overall leaderboard
+function buildReport(gameState) {
+  const contracts = Object.values(gameState.contracts).map(contract => {
+    const { trades } = contract;
+    const volume = trades.reduce((sum, t) => sum + t.size, 0);
+    const notional = trades.reduce((sum, t) => sum + t.price * t.size, 0);
+    const prices = trades.map(t => t.price);
+    const spread = contract.priceHistory.map(p => ({ turn: p.turn, bestBid: p.bestBid, bestAsk: p.bestAsk, spread: getSpread(p) }));
+    const quoted = spread.filter(p => p.spread !== null);
+    return {
+      contractId: contract.id,
+      name: contract.name,
+      rule: contract.rule,
+      settledPrice: contract.settledPrice,
+      tradeCount: trades.length,
+      volume,
+      vwap: volume > 0 ? notional / volume : null,
+      high: prices.length ? Math.max(...prices) : null,
+      low: prices.length ? Math.min(...prices) : null,
+      lastPrice: prices.length ? prices[prices.length - 1] : null,
+      averageSpread: quoted.length ? quoted.reduce((sum, p) => sum + p.spread, 0) / quoted.length : null,
+      spread,
+    };
+  });
+  return {
+    generatedAt: new Date().toISOString(),
+    players: Object.keys(gameState.players).length,
+    turnCount: gameState.turnCount,
+    contracts,
+    leaderboard: buildLeaderboard(gameState),
+  };
+}
+
+// --- Call Auction ---
+// A contract in 'auction' mode collects limit orders without matching (they may cross). The admin
+// uncrosses it: one clearing price (auctionRange in orderbook.js - most volume, smallest surplus,
+// market pressure, then nearest the last trade) and every crossing order fills at that price.
+// contract.indicative tracks where it would uncross and is streamed as an 'auction' event.
+
+// { price, volume, surplus } for a contract in auction mode, or null
+function auctionIndicative(gameState, contract) {
+  if (contract.mode !== 'auction' || contract.settledPrice !== null) return null;
+  const range = auctionRange(contract.book);
+  if (!range) return null;
+  let price = range.low;
+  if (range.high > range.low) {
+    // Every price in the range clears the same volume: nearest the last trade, else the middle
+    const last = contract.trades.length ? contract.trades[contract.trades.length - 1].price : null;
+    const target = last !== null ? last : (range.low + range.high) / 2;
+    price = Math.min(range.high, Math.max(range.low, roundToTick(target, gameState.rules.tickSize)));
+  }
+  return { price, ...auctionVolume(contract.book, price) };
+}
+
+function publishAuction(gameState, contract) {
+  contract.indicative = auctionIndicative(gameState, contract);
+  emit('auction', { contractId: contract.id, mode: contract.mode, indicative: contract.indicative });
+}
+
+// Run after every action, so the indicative price follows the book
+function refreshAuctions(gameState) {
+  for (const contract of Object.values(gameState.contracts)) {
+    const indicative = auctionIndicative(gameState, contract);
+    if (JSON.stringify(indicative) !== JSON.stringify(contract.indicative)) publishAuction(gameState, contract);
+  }
+}
+
+// The best bid and the best ask both trade at price
+function headsCross(book, price) {
+  const bid = bestOrder(book, 'bid');
+  const ask = bestOrder(book, 'ask');
+  return bid !== null && ask !== null && bid.price >= price && ask.price <= price;
+}
+
+// Fills every crossing order at the clearing price, best price then oldest first on both sides.
+// Fills are held to the risk limits like continuous trades. Returns { price, volume, trades }.
+function uncrossContract(gameState, contract) {
+  const indicative = auctionIndicative(gameState, contract);
+  if (!indicative) return { price: null, volume: 0, trades: [] };
+  const { price } = indicative;
+  const { book } = contract;
+  const limits = gameState.riskLimits;
+  const trades = [];
+  while (headsCross(book, price)) {
+    const bid = bestOrder(book, 'bid');
+    const ask = bestOrder(book, 'ask');
+    const bidCapacity = riskCapacity(contract, bid.player, 'bid', price, limits);
+    const askCapacity = riskCapacity(contract, ask.player, 'ask', price, limits);
+    if (bidCapacity === 0 || askCapacity === 0) {
+      if (bidCapacity === 0) cancelForRisk(contract, removeOrder(book, bid.id));
+      if (askCapacity === 0) cancelForRisk(contract, removeOrder(book, ask.id));
+      continue;
+    }
+    const size = Math.min(bid.size, ask.size, bidCapacity, askCapacity);
+    const trade = recordTrade(contract, bid.player, ask.player, price, size);
+    trades.push(trade);
+    for (const order of [bid, ask]) {
+      order.size -= size;
+      if (order.size === 0) removeOrder(book, order.id);
+      fillResting(contract, order, trade, order.size);
+    }
+  }
+  const volume = trades.reduce((n, t) => n + t.size, 0);
+  log('info', 'AUCTION', `${contract.id}: uncrossed ${volume} @ ${price}`, { contractId: contract.id, volume, price });
+  return { price, volume, trades };
+}
+
+// --- Information Reveals ---
+// Besides the admin's toggleReveal, gameState.revealSchedule releases information by itself. A rule
+// fires every N completed turns ('turns'), once at a clock time ('time') or once the volume traded
+// across all contracts reaches a threshold ('volume'), and either reveals a random unrevealed player
+// or publishes a true hint about one ("Alice has at least 2 siblings"). Hints and the admin's own
+// messages go to gameState.news, which every client sees (streamed as 'news' events).
+// runRevealSchedule picks the player outside the action so that the journal replays exactly.
+const REVEAL_TRIGGERS = ['turns', 'time', 'volume'];
+const REVEAL_EFFECTS = ['reveal', 'hint'];
+const HINT_RELATIONS = ['atLeast', 'atMost'];
+const HINT_SPREAD = 2;        // random hints are at most this far from the true count
+const MAX_REVEAL_RULES = 20;
+const MAX_NEWS_LENGTH = 280;
+const REVEAL_TICK_MS = 1000;
+
+function tradedVolume(gameState) {
+  let volume = 0;
+  for (const contract of Object.values(gameState.contracts)) {
+    for (const trade of contract.trades) volume += trade.size;
+  }
+  return volume;
+}
+
+function isRuleDue(gameState, rule, t) {
+  if (rule.trigger === 'turns') return gameState.turnCount - rule.lastTurn >= rule.every;
+  if (rule.done) return false;
+  return rule.trigger === 'time' ? t >= rule.at : tradedVolume(gameState) >= rule.volume;
+}
+
+function hintText(name, relation, value) {
+  return `${name} has ${relation === 'atLeast' ? 'at least' : 'at most'} ${value} sibling${value === 1 ? '' : 's'}`;
+}
+
+function isTrueHint(count, relation, value) {
+  return relation === 'atLeast' ? count >= value : count <= value;
+}
+
+// A random true bound on the player's count ("at least 0" says nothing, so a count of 0 gets "at most")
+function randomHint(gameState, name) {
+  const count = gameState.players[name].siblingCount;
+  const relation = count === 0 || crypto.randomInt(2) ? 'atMost' : 'atLeast';
+  const offset = crypto.randomInt(HINT_SPREAD + 1);
+  return { relation, value: relation === 'atLeast' ? Math.max(1, count - offset) : count + offset };
+}
+
+// Validates a rule from /api/addRevealRule: { trigger, every | at | volume, effect }
+function validateRevealRule(gameState, body) {
+  const { trigger, effect = 'reveal' } = body;
+  if (!REVEAL_TRIGGERS.includes(trigger)) return { error: `trigger must be one of: ${REVEAL_TRIGGERS.join(', ')}` };
+  if (!REVEAL_EFFECTS.includes(effect)) return { error: `effect must be one of: ${REVEAL_EFFECTS.join(', ')}` };
+  if (gameState.revealSchedule.length >= MAX_REVEAL_RULES) return { error: `At most ${MAX_REVEAL_RULES} reveal rules` };
+  if (trigger === 'turns') {
+    if (!Number.isInteger(body.every) || body.every < 1) return { error: 'every must be a whole number of turns (1 or more)' };
+    return { rule: { trigger, every: body.every, effect } };
+  }
+  if (trigger === 'time') {
+    // Milliseconds since the epoch or an ISO date string
+    const at = typeof body.at === 'string' && !/^\d+$/.test(body.at) ? Date.parse(body.at) : Number(body.at);
+    if (body.at === undefined || body.at === null || !Number.isFinite(at)) return { error: 'at must be a time (milliseconds or ISO date)' };
+    return { rule: { trigger, at, effect } };
+  }
+  if (!Number.isInteger(body.volume) || body.volume < 1) return { error: 'volume must be a whole number of contracts (1 or more)' };
+  return { rule: { trigger, volume: body.volume, effect } };
+}
+
+function postNewsItem(gameState, item) {
+  const entry = { id: gameState.news.length + 1, timestamp: now(), turn: gameState.turnCount, ...item };
+  gameState.news.push(entry);
+  emit('news', { item: entry });
+}
+
+// Fires every due rule, one commit each
+function runRevealSchedule(room) {
+  const { gameState } = room;
+  const t = Date.now();
+  let fired = false;
+  for (const rule of [...gameState.revealSchedule]) {
+    if (!isRuleDue(gameState, rule, t)) continue;
+    const hidden = Object.keys(gameState.players).filter(name => !gameState.players[name].revealed);
+    // Nobody left to reveal: the rule still fires (and a one-off rule is used up)
+    const name = hidden.length ? hidden[crypto.randomInt(hidden.length)] : null;
+    const hint = name && rule.effect === 'hint' ? randomHint(gameState, name) : null;
+    try {
+      commit(room, 'fireRevealRule', { ruleId: rule.id, name, hint });
+      fired = true;
+    } catch (e) {
+      // e.g. the journal cannot be written - the rule is still due and fires on a later tick
+      log('error', 'REVEAL', `Rule #${rule.id} failed to fire: ${e.message}`, { room: room.name, ruleId: rule.id, error: e.message });
+    }
+  }
+  if (fired) broadcastEvents(room);
+}
+
+// --- Tournaments ---
+// A tournament plays several rounds in one room. A round ends when its last contract settles: the
+// settled P&L of every player is recorded as the round's standings, and nextRound starts a fresh
+// round with new secret values, empty books and flat positions (players, rules, bots and turn
+// order stay). The tournament table adds up each player's P&L over the rounds. The finished round's
+// contracts (trades, positions, price history) and order history move to gameState.roundArchive
+// for /api/export?round=<n>.
+const DEFAULT_ROUND_RANDOM_MAX = 4; // new secret values are drawn from 0..randomMax unless given
+
+// Calendar spreads opened this round settle in the next one
+function isRoundSettled(gameState) {
+  const contracts = Object.values(gameState.contracts).filter(c => !isPendingCalendar(c));
+  return contracts.length > 0 && contracts.every(c => c.settledPrice !== null);
+}
+
+// Records (or re-records) the current round's result once it has settled
+function recordRound(gameState) {
+  const { tournament } = gameState;
+  if (!tournament || !isRoundSettled(gameState)) return;
+  // A calendar spread still open counts in the round it settles in
+  const contracts = Object.values(gameState.contracts).filter(c => !isPendingCalendar(c));
+  const result = {
+    round: tournament.round,
+    standings: rankByPnL(pnlRows(gameState).filter(row => !isPendingCalendar(gameState.contracts[row.contractId]))),
+    settled: Object.fromEntries(contracts.map(c => [c.id, c.settledPrice])),
+  };
+  tournament.rounds = tournament.rounds.filter(r => r.round !== tournament.round).concat(result);
+  emit('tournament', { tournament: structuredClone(tournament) });
+}
+
+// Players ranked by P&L summed over the finished rounds; roundN is null for a round they did not play
+function tournamentTable(gameState) {
+  const { tournament } = gameState;
+  if (!tournament) return [];
+  const totals = {};
+  for (const { round, standings } of tournament.rounds) {
+    for (const { player, pnl } of standings) {
+      if (!totals[player]) totals[player] = { player, total: 0 };
+      totals[player].total += pnl;
+      totals[player][`round${round}`] = pnl;
+    }
+  }
+  return Object.values(totals)
+    .sort((a, b) => b.total - a.total || a.player.localeCompare(b.player))
+    .map((row, i) => {
+      const full = { rank: i + 1, ...row };
+      for (const { round } of tournament.rounds) if (full[`round${round}`] === undefined) full[`round${round}`] = null;
+      return full;
+    });
+}
+
+function tournamentColumns(gameState) {
+  const rounds = gameState.tournament ? gameState.tournament.rounds.map(r => `round${r.round}`) : [];
+  return [...EXPORT_COLUMNS.tournament, ...rounds];
+}
+
+// --- History Replay ---
+// Rebuilds a contract's book and positions from gameState.orderHistory, using the rows for which
+// includeRow(row) holds (rows are in order, so the first excluded row ends the replay)
+function rebuildContractAt(gameState, contract, includeRow) {
+  const book = createBook();
+  const positions = {};
+  for (const name of Object.keys(contract.positions)) positions[name] = { quantity: 0, cash: 0 };
+  const tradeIds = new Set();
+  let settledPrice = null;
+  for (const row of gameState.orderHistory) {
+    if (!includeRow(row)) break;
+    if (row.contractId !== contract.id) continue;
+    const order = getOrder(book, row.orderId);
+    switch (row.event) {
+      case 'placed':
+        // Market orders never rest (their fills and unfilled rest follow in the same action)
+        if (row.price !== null) insertOrder(book, { id: row.orderId, contractId: contract.id, player: row.player, side: row.side, price: row.price, size: row.size, orderType: row.orderType, timestamp: row.ts });
+        break;
+      case 'amended':
+        if (order) order.size = row.size;
+        break;
+      case 'fill': {
+        if (row.remaining === 0) removeOrder(book, row.orderId);
+        else if (order) order.size = row.remaining;
+        if (!positions[row.player]) positions[row.player] = { quantity: 0, cash: 0 };
+        const quantity = row.side === 'bid' ? row.size : -row.size;
+        positions[row.player].quantity += quantity;
+        positions[row.player].cash -= quantity * row.price;
+        tradeIds.add(row.tradeId);
+        break;
+      }
+      case 'cancelled':
+        removeOrder(book, row.orderId);
+        break;
+      case 'settled':
+        settledPrice = row.price;
+        for (const pos of Object.values(positions)) {
+          pos.cash += pos.quantity * settledPrice;
+          pos.quantity = 0;
+        }
+        break;
+    }
+  }
+  const { bestBid, bestAsk } = getBestBidAsk({ book });
+  const midPrice = getMidPrice({ book });
+  for (const pos of Object.values(positions)) {
+    pos.pnl = pos.quantity === 0 ? pos.cash : midPrice === null ? null : pos.cash + pos.quantity * midPrice;
+  }
+  return { contractId: contract.id, name: contract.name, orders: allOrders(book), bestBid, bestAsk, midPrice, settledPrice, tradeCount: tradeIds.size, positions };
+}
+
+// at: { turn } = when turn N ended (matches priceHistory point N; turn 0 = start of the game),
+// or { ts } = after everything up to that time. contractId null = every contract.
+function rebuildAt(gameState, at, contractId = null) {
+  const includeRow = at.turn !== undefined ? row => row.turn < at.turn : row => row.ts <= at.ts;
+  const contracts = {};
+  for (const contract of Object.values(gameState.contracts)) {
+    if (contractId && contract.id !== contractId) continue;
+    contracts[contract.id] = rebuildContractAt(gameState, contract, includeRow);
+  }
+  return { at, turnCount: gameState.turnCount, contracts };
+}
+
+// --- Bots ---
+// Dummy players can be handed to a strategy. On each move decide() returns candidate moves in order
+// of preference ({ side, price, size } orders or { cancel: true }); the first one that passes
+// validateOrder is committed like a human order. Bots may use Math.random here - only the resulting
+// order is journaled. Params shared by every strategy: contractId, size, intervalMs (free mode pace).
+const BOT_PARAM_CHECKS = {
+  contractId: v => typeof v === 'string',
+  size: v => Number.isInteger(v) && v > 0,
+  intervalMs: v => Number.isInteger(v) && v >= 1000,
+  spread: v => Number.isInteger(v) && v > 0,
+  priorMean: v => typeof v === 'number' && v >= 0,
+  fairValue: v => v === null || (typeof v === 'number' && Number.isFinite(v)),
+  width: v => Number.isInteger(v) && v >= 0,
+  activity: v => typeof v === 'number' && v >= 0 && v <= 1,
+  edge: v => typeof v === 'number' && v >= 0,
+  knownPlayers: v => Array.isArray(v) && v.every(n => typeof n === 'string'),
+};
+
+const COMMON_BOT_PARAMS = { contractId: DEFAULT_CONTRACT_ID, size: 1, intervalMs: 5000 };
+
+// Settlement price if every sibling count the bot does not know were priorMean
+function estimateFairValue(gameState, contract, knownNames, priorMean) {
+  const players = Object.keys(gameState.players).map(name => {
+    const p = gameState.players[name];
+    return p.revealed || knownNames.includes(name) ? p : { ...p, siblingCount: priorMean };
+  });
+  // Nothing is known about the next round yet, so an open calendar spread is expected to pay 0
+  if (isPendingCalendar(contract)) return 0;
+  return contractPayoff(contract, SETTLEMENT_RULES[contract.rule].compute(players));
+}
+
+const BOT_STRATEGIES = {
+  // Keeps a bid and an ask spread around its fair value estimate, requoting when the estimate moves
+  marketMaker: {
+    label: 'Market maker',
+    defaults: { spread: 2, priorMean: 1.5, fairValue: null },
+    decide({ gameState, contract, name, params }) {
+      const fair = params.fairValue !== null ? params.fairValue : estimateFairValue(gameState, contract, [name], params.priorMean);
+      const { tickSize } = gameState.rules;
+      const quotes = { bid: roundToTick(fair - params.spread / 2, tickSize, Math.floor), ask: roundToTick(fair + params.spread / 2, tickSize, Math.ceil) };
+      const mine = playerOrders(contract.book, name);
+      if (mine.some(o => o.price !== quotes[o.side])) return [{ cancel: true }];
+      return ['bid', 'ask']
+        .filter(side => !mine.some(o => o.side === side))
+        .map(side => ({ side, price: quotes[side], size: params.size, orderType: 'postOnly' }));
+    },
+  },
+  // Trades at random around the mid (or last trade / naive estimate) on a fraction of its moves
+  noise: {
+    label: 'Noise trader',
+    defaults: { width: 3, activity: 0.5, priorMean: 1.5 },
+    decide({ gameState, contract, name, params }) {
+      if (Math.random() >= params.activity) return [];
+      const lastTrade = contract.trades[contract.trades.length - 1];
+      const mid = getMidPrice(contract);
+      const ref = mid !== null ? mid : lastTrade ? lastTrade.price : estimateFairValue(gameState, contract, [name], params.priorMean);
+      const side = Math.random() < 0.5 ? 'bid' : 'ask';
+      const offset = Math.floor(Math.random() * (params.width + 1)) - Math.floor(params.width / 2);
+      const { tickSize, minPrice } = priceRulesFor(gameState, contract);
+      return [{ side, price: Math.max(minPrice, roundToTick(ref + offset, tickSize)), size: params.size }];
+    },
+  },
+  // Knows the sibling counts of knownPlayers and takes any quote mispriced by more than edge
+  informed: {
+    label: 'Informed trader',
+    defaults: { edge: 1, knownPlayers: [], priorMean: 1.5 },
+    decide({ gameState, contract, name, params }) {
+      const fair = estimateFairValue(gameState, contract, [name, ...params.knownPlayers], params.priorMean);
+      const { bestBid, bestAsk } = getBestBidAsk(contract);
+      if (bestAsk !== null && bestAsk < fair - params.edge) return [{ side: 'bid', price: bestAsk, size: params.size, orderType: 'ioc' }];
+      if (bestBid !== null && bestBid > fair + params.edge) return [{ side: 'ask', price: bestBid, size: params.size, orderType: 'ioc' }];
+      return [];
+    },
+  },
+};
+
+// Merges params over current (or the strategy defaults); returns { error } or { params }
+function normalizeBotParams(strategy, params, current = null) {
+  const defaults = { ...COMMON_BOT_PARAMS, ...BOT_STRATEGIES[strategy].defaults };
+  const merged = { ...defaults, ...(current || {}) };
+  for (const key of Object.keys(params || {})) {
+    if (!Object.prototype.hasOwnProperty.call(defaults, key)) return { error: `Unknown parameter ${key}`, params: Object.keys(defaults) };
+    if (!BOT_PARAM_CHECKS[key](params[key])) return { error: `Invalid value for ${key}` };
+    merged[key] = params[key];
+  }
+  return { params: merged };
+}
+
+// --- Actions ---
+// Every state mutation is an action applied after the request has been validated.
+// Actions must be deterministic (use now(), never Date.now() or random values) so that
+// replaying the journal rebuilds exactly the same state. Each action runs against one room.
+const actions = {
+  addPlayer(room, { name, count, isDummy, token }) {
+    const { gameState } = room;
+    // Re-adding a player (the admin correcting a count) keeps whether they are revealed
+    const existing = getPlayer(gameState, name);
+    gameState.players[name] = { siblingCount: count, revealed: existing ? existing.revealed : false, isDummy: isDummy || false };
+    for (const contract of Object.values(gameState.contracts)) ensurePosition(contract, name);
+    if (token) room.playerTokens[name] = token;
+  },
+  setPlayerToken(room, { name, token }) {
+    if (token) room.playerTokens[name] = token;
+    else delete room.playerTokens[name];
+  },
+  addContract(room, { id, name, rule, derivative = null }) {
+    const { gameState } = room;
+    const contract = createContract(id, name, rule, derivative, gameState.orderIndex);
+    for (const playerName of Object.keys(gameState.players)) ensurePosition(contract, playerName);
+    gameState.contracts[id] = contract;
+  },
+  removeContract(room, { contractId }) {
+    const { gameState } = room;
+    clearBook(gameState.contracts[contractId].book);
+    delete gameState.contracts[contractId];
+  },
+  submitDummyOrder(room, { contractId, playerName, side, price, size }) {
+    const { gameState } = room;
+    // Hand-entered dummy orders are only held to tighten-or-trade when rules.tightenOrTrade is 'all' (checked by the endpoint)
+    const contract = getContract(gameState, contractId);
+    ensurePosition(contract, playerName);
+    const order = { id: gameState.orderIdCounter++, contractId: contract.id, player: playerName, side, price, size, timestamp: now() };
+    logOrder('placed', order, { orderType: 'limit' });
+    return { trades: matchOrders(contract, order, true, gameState.riskLimits) };
+  },
+  toggleReveal(room, { name }) {
+    const { gameState } = room;
+    gameState.players[name].revealed = !gameState.players[name].revealed;
+  },
+  addRevealRule(room, { rule }) {
+    const { gameState } = room;
+    gameState.revealSchedule.push({ id: gameState.revealRuleCounter++, ...rule, lastTurn: gameState.turnCount, done: false });
+  },
+  removeRevealRule(room, { id }) {
+    const { gameState } = room;
+    gameState.revealSchedule = gameState.revealSchedule.filter(rule => rule.id !== id);
+  },
+  // name: the unrevealed player picked (null = none left); hint: { relation, value } to hint instead of reveal
+  fireRevealRule(room, { ruleId, name, hint }) {
+    const { gameState } = room;
+    const rule = gameState.revealSchedule.find(r => r.id === ruleId);
+    rule.lastTurn = gameState.turnCount;
+    if (rule.trigger !== 'turns') rule.done = true;
+    if (!name) return;
+    if (hint) {
+      postNewsItem(gameState, { kind: 'hint', player: name, text: hintText(name, hint.relation, hint.value) });
+      return;
+    }
+    const player = gameState.players[name];
+    player.revealed = true;
+    postNewsItem(gameState, { kind: 'reveal', player: name, text: `${name} has ${player.siblingCount} sibling${player.siblingCount === 1 ? '' : 's'}` });
+  },
+  postNews(room, { text }) {
+    postNewsItem(room.gameState, { kind: 'news', text });
+  },
+  postHint(room, { name, relation, value }) {
+    postNewsItem(room.gameState, { kind: 'hint', player: name, text: hintText(name, relation, value) });
+  },
+  submitOrder(room, { contractId, playerName, side, price, size, orderType }) {
+    const { gameState } = room;
+    const contract = getContract(gameState, contractId);
+    ensurePosition(contract, playerName);
+    let trades = [];
+    if (orderType === 'market') {
+      // Market order: execute immediately against all available liquidity
+      const order = { id: gameState.orderIdCounter++, contractId: contract.id, player: playerName, side, price: null, size, timestamp: now() };
+      logOrder('placed', order, { orderType });
+      trades = matchOrders(contract, order, false, gameState.riskLimits);
+      const filled = trades.reduce((n, t) => n + t.size, 0);
+      if (filled < size) {
+        log('debug', 'MARKET ORDER', `Partial fill: ${filled}/${size} contracts`, { contractId: contract.id, player: playerName, filled, size });
+      }
+    } else {
+      const order = { id: gameState.orderIdCounter++, contractId: contract.id, player: playerName, side, price, size, timestamp: now() };
+      logOrder('placed', order, { orderType: orderType || 'limit' });
+      trades = matchOrders(contract, order, orderType !== 'ioc' && orderType !== 'fok', gameState.riskLimits);
+    }
+    advanceTurn(gameState);
+    return { trades };
+  },
+  // Reducing only the size keeps time priority; any other change is a cancel/replace under a new id
+  amendOrder(room, { orderId, price, size }) {
+    const { gameState } = room;
+    const { contract, order } = findOrder(gameState, orderId);
+    let trades = [];
+    let id = orderId;
+    if (price === order.price && size < order.size) {
+      order.size = size;
+      emit('orderReduced', { contractId: contract.id, orderId, size });
+      logOrder('amended', order);
+    } else {
+      removeOrder(contract.book, orderId);
+      emit('orderRemoved', { contractId: contract.id, orderId, reason: 'amended' });
+      id = gameState.orderIdCounter++;
+      logOrder('cancelled', order, { reason: 'amended', replacedBy: id });
+      const replacement = { id, contractId: contract.id, player: order.player, side: order.side, price, size, timestamp: now() };
+      logOrder('placed', replacement, { orderType: 'limit', replaces: orderId });
+      trades = matchOrders(contract, replacement, true, gameState.riskLimits);
+    }
+    advanceTurn(gameState);
+    return { orderId: id, trades };
+  },
+  // contractId null = cancel in every contract
+  cancelOrders(room, { playerName, contractId }) {
+    const { gameState } = room;
+    let cancelled = 0;
+    for (const contract of Object.values(gameState.contracts)) {
+      if (contractId && contract.id !== contractId) continue;
+      for (const order of playerOrders(contract.book, playerName)) {
+        removeOrder(contract.book, order.id);
+        emit('orderRemoved', { contractId: contract.id, orderId: order.id, reason: 'cancelled' });
+        logOrder('cancelled', order, { reason: 'cancelled' });
+        cancelled++;
+      }
+    }
+    // Advance turn only if orders were actually cancelled (and the rules say cancels use up the turn)
+    if (cancelled > 0 && gameState.rules.advanceTurnOnCancel) advanceTurn(gameState);
+    return { cancelled };
+  },
+  // byOwner: the player cancelled their own order, which uses up their turn (admin cancels do not)
+  cancelOrder(room, { orderId, byOwner }) {
+    const { gameState } = room;
+    let cancelled = 0;
+    for (const contract of Object.values(gameState.contracts)) {
+      const order = removeOrder(contract.book, orderId);
+      if (!order) continue;
+      emit('orderRemoved', { contractId: contract.id, orderId, reason: 'cancelled' });
+      logOrder('cancelled', order, { reason: byOwner ? 'cancelled' : 'admin' });
+      cancelled++;
+    }
+    if (cancelled > 0 && byOwner && gameState.rules.advanceTurnOnCancel) advanceTurn(gameState);
+    return { cancelled };
+  },
+  reset(room) {
+    room.gameState = createInitialState();
+    room.playerTokens = {};
+  },
+  // Leaving a call auction uncrosses it first
+  setMarketMode(room, { contractId, mode }) {
+    const { gameState } = room;
+    const contract = getContract(gameState, contractId);
+    const result = contract.mode === 'auction' && mode === 'continuous' ? uncrossContract(gameState, contract) : { trades: [] };
+    contract.mode = mode;
+    publishAuction(gameState, contract);
+    return result;
+  },
+  uncross(room, { contractId }) {
+    const { gameState } = room;
+    return uncrossContract(gameState, getContract(gameState, contractId));
+  },
+  // contractId null = settle every contract that is still open
+  settle(room, { contractId }) {
+    const { gameState } = room;
+    let result;
+    if (contractId) {
+      result = settleContract(gameState, getContract(gameState, contractId));
+    } else {
+      const settled = {};
+      for (const contract of Object.values(gameState.contracts)) {
+        if (contract.settledPrice !== null || isPendingCalendar(contract)) continue;
+        settled[contract.id] = settleContract(gameState, contract).settledPrice;
+      }
+      result = { settled };
+    }
+    recordRound(gameState);
+    return result;
+  },
+  // The game so far becomes round 1 (already recorded if it has settled)
+  startTournament(room) {
+    const { gameState } = room;
+    gameState.tournament = { round: 1, rounds: [] };
+    gameState.roundArchive = [];
+    recordRound(gameState);
+  },
+  // values: { name: secret value } for every player in the new round
+  nextRound(room, { values }) {
+    const { gameState } = room;
+    // Calendar spreads opened this round stay open, their near leg fixed at this round's value
+    const carried = Object.values(gameState.contracts).filter(isPendingCalendar);
+    for (const contract of carried) contract.derivative.nearValue = getUnderlyingValue(gameState, contract);
+    const finished = Object.values(gameState.contracts).filter(c => !carried.includes(c));
+    gameState.roundArchive.push({
+      round: gameState.tournament.round,
+      contracts: Object.fromEntries(finished.map(c => [c.id, c])),
+      orderHistory: gameState.orderHistory,
+    });
+    for (const name of Object.keys(gameState.players)) {
+      gameState.players[name].siblingCount = values[name];
+      gameState.players[name].revealed = false;
+    }
+    for (const old of Object.values(gameState.contracts)) {
+      if (carried.includes(old)) continue;
+      const derivative = old.derivative && old.derivative.type === 'calendar'
+        ? { type: 'calendar', round: gameState.tournament.round + 1, nearValue: null }
+        : old.derivative;
+      const contract = createContract(old.id, old.name, old.rule, derivative, gameState.orderIndex);
+      contract.mode = old.mode;
+      for (const name of Object.keys(gameState.players)) ensurePosition(contract, name);
+      gameState.contracts[old.id] = contract;
+    }
+    gameState.orderHistory = [];
+    gameState.turnCount = 0;
+    // Turn and volume rules start over with the round (a clock time that has passed stays used up)
+    for (const rule of gameState.revealSchedule) {
+      rule.lastTurn = 0;
+      if (rule.trigger === 'volume') rule.done = false;
+    }
+    if (isTurnModeActive(gameState)) {
+      gameState.currentTurnIndex = 0;
+      restartTurnClock(gameState);
+    }
+    gameState.tournament.round++;
+    log('info', 'TOURNAMENT', `Round ${gameState.tournament.round} started`, { room: room.name, round: gameState.tournament.round });
+  },
+  setTurnOrder(room, { turnOrder }) {
+    const { gameState } = room;
+    gameState.turnOrder = turnOrder;
+  },
+  setRiskLimits(room, { limits }) {
+    room.gameState.riskLimits = { ...NO_RISK_LIMITS, ...limits };
+  },
+  setRules(room, { rules }) {
+    room.gameState.rules = { ...DEFAULT_RULES, ...rules };
+  },
+  setRegistration(room, { open }) {
+    room.gameState.registrationOpen = open;
+  },
+  setSpectatorPanels(room, { panels }) {
+    room.gameState.spectatorPanels = { ...DEFAULT_SPECTATOR_PANELS, ...panels };
+  },
+  // strategy null = back to a hand-traded dummy
+  setBot(room, { name, strategy, params }) {
+    const { gameState } = room;
+    if (strategy) gameState.bots[name] = { strategy, params };
+    else delete gameState.bots[name];
+  },
+  // A bot with nothing to do still uses up its turn
+  passTurn(room) {
+    advanceTurn(room.gameState);
+  },
+  setCurrentTurn(room, { currentTurnIndex }) {
+    const { gameState } = room;
+    gameState.currentTurnIndex = currentTurnIndex;
+    restartTurnClock(gameState);
+    emit('turn', { currentTurnIndex, turnCount: gameState.turnCount, prices: [], clock: { ...gameState.turnClock } });
+  },
+  // The current player ran out of time
+  skipTurn(room, { playerName }) {
+    log('info', 'TURN', `${playerName} ran out of time - turn skipped`, { room: room.name, player: playerName });
+    advanceTurn(room.gameState, playerName);
+  },
+  // limitMs null = no time limit; the current turn starts over with the new limit
+  setTurnTimeLimit(room, { limitMs }) {
+    const { gameState } = room;
+    gameState.turnClock.limitMs = limitMs;
+    restartTurnClock(gameState);
+    emit('clock', { clock: { ...gameState.turnClock } });
+  },
+  pauseClock(room) {
+    const clock = room.gameState.turnClock;
+    clock.paused = true;
+    if (clock.deadline !== null) clock.remainingMs = Math.max(0, clock.deadline - now());
+    clock.deadline = null;
+    emit('clock', { clock: { ...clock } });
+  },
+  resumeClock(room) {
+    const clock = room.gameState.turnClock;
+    clock.paused = false;
+    if (clock.remainingMs !== null) clock.deadline = now() + clock.remainingMs;
+    clock.remainingMs = null;
+    emit('clock', { clock: { ...clock } });
+  },
+  // Puts the room back as it was just before admin action auditId (see the Audit Log section)
+  restoreSnapshot(room, { auditId }) {
+    const point = room.restorePoints.find(p => p.auditId === auditId);
+    room.gameState = structuredClone(point.gameState);
+    room.playerTokens = { ...point.playerTokens };
+    // The old deadline has passed; whoever has the turn gets a fresh one
+    if (isTurnModeActive(room.gameState)) restartTurnClock(room.gameState);
+  },
+};
+
+// --- Room Management ---
+// Server-level actions (journaled without a room)
+const serverActions = {
+  createRoom({ name, adminToken }) {
+    rooms.set(name, createRoom(name, adminToken));
+  },
+  closeRoom({ name }) {
+    const room = rooms.get(name);
+    for (const res of room.sseClients.keys()) res.end();
+    for (const socket of room.wsClients.keys()) wsClose(socket, 1001);
+    rooms.delete(name);
+  },
+};
+
+// --- Journal ---
+// With --state-file, every committed action is appended as one JSON line
+// ({ room, version, type, args, ts }) before it is broadcast, and replayed on startup.
+// Server-level actions have room null; entries without a room belong to the default room.
+// Actions requested with an admin token carry by: 'admin' and are audited (see recordAudit).
+// An action that throws once journaled is followed by a { room, failed: true } line.
+let actionTime = null; // timestamp of the action being applied
+let replaying = false;  // true while replayJournal re-applies old actions (not counted in the metrics)
+
+function now() {
+  return actionTime !== null ? actionTime : Date.now();
+}
+
+function applyAction(room, type, args, ts, version, by = null) {
+  actionTime = ts;
+  pendingEvents = [];
+  pendingOrderLog = [];
+  try {
+    if (!room) return serverActions[type](args || {});
+    const turn = room.gameState.turnCount;
+    const audit = by === 'admin' ? startAudit(room, type, args || {}, version) : null;
+    const result = actions[type](room, args || {});
+    refreshAuctions(room.gameState);
+    room.version = version;
+    if (audit) finishAudit(room, audit);
+    for (const row of pendingOrderLog) room.gameState.orderHistory.push({ ...row, turn });
+    recordEvents(room, type, pendingEvents);
+    if (!replaying) countActivity(pendingOrderLog, pendingEvents);
+    return result;
+  } finally {
+    actionTime = null;
+    pendingEvents = null;
+    pendingOrderLog = null;
+  }
+}
+
+// room null = server-level action; by 'admin' = requested with an admin token (audited)
+function commit(room, type, args, by = null) {
+  // Write ahead: if the journal cannot be written the action is not applied
+  const entry = room
+    ? { room: room.name, version: room.version + 1, type, args, ts: Date.now() }
+    : { room: null, type, args, ts: Date.now() };
+  if (by) entry.by = by;
+  if (STATE_FILE) {
+    fs.appendFileSync(STATE_FILE, JSON.stringify(entry) + '\n');
+  }
+  try {
+    return applyAction(room, type, args, entry.ts, entry.version, by) || {};
+  } catch (e) {
+    // The entry is already journaled: mark it ({ failed: true } right after it), so replayJournal
+    // knows the failure is not new. Replaying it still leaves the room as this server now has it.
+    if (STATE_FILE) {
+      try { fs.appendFileSync(STATE_FILE, JSON.stringify({ room: entry.room, failed: true }) + '\n'); } catch (_) { /* reported by the caller */ }
+    }
+    throw e;
+  }
+}
+
+function readJournalEntry(line, i) {
+  try { return JSON.parse(line); } catch (e) {
+    // A crash mid-write can leave a truncated last line
+    log('warn', 'JOURNAL', `Skipping unreadable line ${i + 1} in ${STATE_FILE}`, { line: i + 1 });
+    return null;
+  }
+}
+
+function replayJournal() {
+  if (!STATE_FILE || !fs.existsSync(STATE_FILE)) return;
+  const entries = fs.readFileSync(STATE_FILE, 'utf8').split('\n').filter(line => line.trim()).map(readJournalEntry);
+  let replayed = 0;
+  replaying = true;
+  entries.forEach((entry, i) => {
+    if (!entry || entry.failed) return;
+    let room = null;
+    if (entry.room === null) {
+      if (!serverActions[entry.type]) {
+        log('warn', 'JOURNAL', `Skipping unknown action "${entry.type}" on line ${i + 1}`, { line: i + 1, type: entry.type });
+        return;
+      }
+    } else {
+      room = rooms.get(entry.room || DEFAULT_ROOM);
+      if (!room) {
+        log('warn', 'JOURNAL', `Skipping action for unknown room "${entry.room}" on line ${i + 1}`, { line: i + 1, room: entry.room });
+        return;
+      }
+      if (!actions[entry.type]) {
+        log('warn', 'JOURNAL', `Skipping unknown action "${entry.type}" on line ${i + 1}`, { line: i + 1, type: entry.type });
+        return;
+      }
+    }
+    try {
+      applyAction(room, entry.type, entry.args, entry.ts, entry.version, entry.by);
+      replayed++;
+    } catch (e) {
+      // Whatever the action changed before it threw stays, as it did on the server that journaled it
+      const failedBefore = Boolean(entries[i + 1] && entries[i + 1].failed);
+      const fields = { line: i + 1, type: entry.type, error: e.message };
+      if (failedBefore) log('warn', 'JOURNAL', `Action "${entry.type}" on line ${i + 1} failed again, as it did when it was committed: ${e.message}`, fields);
+      else log('error', 'JOURNAL', `Action "${entry.type}" on line ${i + 1} failed and was skipped: ${e.message}`, fields);
+    }
+  });
+  replaying = false;
+  log('info', 'JOURNAL', `Replayed ${replayed} action(s) from ${STATE_FILE} (${rooms.size} room(s))`, { replayed, rooms: rooms.size });
+}
+
+// --- Audit Log ---
+// Every admin action is recorded with a summary of the room before and after it. Before the
+// actions that reshape the game (RESTORE_POINT_ACTIONS) the room is also copied, so that action
+// (with everything after it) can be undone; dummy orders, news, bots and the like are not worth a
+// copy of the whole room, so they are only undone together with an earlier copied action. The log
+// and the copies are rebuilt when the journal is replayed, so with --state-file they survive restarts.
+const RESTORE_POINT_ACTIONS = new Set(['reset', 'settle', 'nextRound', 'startTournament', 'restoreSnapshot', 'addContract', 'removeContract', 'setRules', 'setRiskLimits', 'setMarketMode', 'uncross', 'setTurnOrder']);
+const MAX_RESTORE_POINTS = 10;
+
+function auditSummary(gameState) {
+  const contracts = Object.values(gameState.contracts);
+  return {
+    players: Object.keys(gameState.players).length,
+    revealed: Object.keys(gameState.players).filter(name => gameState.players[name].revealed),
+    openOrders: contracts.reduce((n, c) => n + allOrders(c.book).length, 0),
+    trades: contracts.reduce((n, c) => n + c.trades.length, 0),
+    currentPlayer: isTurnModeActive(gameState) ? gameState.turnOrder[gameState.currentTurnIndex] : null,
+    turnCount: gameState.turnCount,
+    settled: Object.fromEntries(contracts.filter(c => c.settledPrice !== null).map(c => [c.id, c.settledPrice])),
+  };
+}
+
+// The restore point is only kept by finishAudit, so an action that throws leaves none behind
+function startAudit(room, type, args, version) {
+  const id = room.auditLog.length ? room.auditLog[room.auditLog.length - 1].id + 1 : 1;
+  const restorePoint = RESTORE_POINT_ACTIONS.has(type)
+    ? { auditId: id, gameState: structuredClone(room.gameState), playerTokens: { ...room.playerTokens } }
+    : null;
+  // Player tokens never go into the log
+  const logged = { ...args };
+  if (logged.token) logged.token = REDACTED;
+  return { entry: { id, version, ts: now(), type, args: logged, before: auditSummary(room.gameState) }, restorePoint };
+}
+
+function finishAudit(room, { entry, restorePoint }) {
+  entry.after = auditSummary(room.gameState);
+  room.auditLog.push(entry);
+  if (restorePoint) room.restorePoints.push(restorePoint);
+  if (room.restorePoints.length > MAX_RESTORE_POINTS) room.restorePoints.shift();
+}
+
+// Admin view of the log: which entries can still be undone, and how many changes undoing them discards
+function auditView(room) {
+  const restorable = new Set(room.restorePoints.map(point => point.auditId));
+  return room.auditLog.map(entry => ({ ...entry, restorable: restorable.has(entry.id), undoes: room.version - entry.version + 1 }));
+}
+
+// --- Turn Clock ---
+// Skips the current player once the turn's deadline passes, and streams the remaining time to
+// every client as an unversioned { type: 'clockTick', remainingMs } message (not journaled).
+const TURN_CLOCK_TICK_MS = 1000;
+
+function runTurnClock(room) {
+  const { gameState } = room;
+  const clock = gameState.turnClock;
+  if (!isTurnModeActive(gameState) || clock.deadline === null) return;
+  const remainingMs = clock.deadline - Date.now();
+  if (remainingMs <= 0) {
+    try {
+      commit(room, 'skipTurn', { playerName: gameState.turnOrder[gameState.currentTurnIndex] });
+    } catch (e) {
+      // e.g. the journal cannot be written - the skip is tried again on the next tick
+      log('error', 'TURN', `Could not skip the turn: ${e.message}`, { room: room.name, error: e.message });
+      return;
+    }
+    broadcastEvents(room);
+    return;
+  }
+  const tick = JSON.stringify({ type: 'clockTick', remainingMs });
+  for (const res of room.sseClients.keys()) {
+    try { res.write(`data: ${tick}\n\n`); } catch (_) { /* ignore */ }
+  }
+  for (const socket of room.wsClients.keys()) wsSend(socket, tick);
+}
+
+// --- Bot Scheduler ---
+// Every tick, bots holding the turn move (one per tick so people can follow along); without turns
+// each bot moves once its intervalMs has passed.
+const BOT_TICK_MS = 1000;
+
+function moveBot(room, name) {
+  const { gameState } = room;
+  const bot = gameState.bots[name];
+  const contract = getContract(gameState, bot.params.contractId);
+  if (contract && contract.settledPrice === null && !checkTurn(gameState, name)) {
+    const moves = BOT_STRATEGIES[bot.strategy].decide({ gameState, contract, name, params: bot.params });
+    for (const move of moves) {
+      if (move.cancel) {
+        commit(room, 'cancelOrders', { playerName: name, contractId: contract.id });
+        return;
+      }
+      const check = validateOrder(gameState, { contractId: contract.id, playerName: name, ...move });
+      if (check.error) continue;
+      log('debug', 'BOT', `${name} (${bot.strategy}) ${move.side} ${move.size} @ ${move.price} in ${contract.id}`, { room: room.name, bot: name, strategy: bot.strategy, contractId: contract.id, ...move });
+      commit(room, 'submitOrder', check.args);
+      return;
+    }
+  }
+  if (isTurnModeActive(gameState) && !checkTurn(gameState, name)) commit(room, 'passTurn', {});
+}
+
+function runBots(room) {
+  const { gameState } = room;
+  const t = Date.now();
+  let moved = false;
+  for (const name of Object.keys(gameState.bots)) {
+    if (isTurnModeActive(gameState)) {
+      if (checkTurn(gameState, name)) continue;
+    } else if (t - (room.botLastMove[name] || 0) < gameState.bots[name].params.intervalMs) {
+      continue;
+    }
+    room.botLastMove[name] = t;
+    try { moveBot(room, name); } catch (e) { log('error', 'BOT', `${name} failed to move: ${e.message}`, { room: room.name, bot: name, error: e.message }); }
+    moved = true;
+    if (isTurnModeActive(gameState)) break;
+  }
+  if (moved) broadcastEvents(room);
+}
+
+// --- Order Requests ---
+// The trading routes, shared by the REST API (/api/<name>) and the WebSocket (action: '<name>') so
+// both give the same answers. Each takes the caller's token and the request body and returns
+// { status, body }; status 200 means the action was committed and the caller should broadcast.
+const unauthorizedReply = error => ({ status: 401, body: { error } });
+
+const ORDER_REQUESTS = {
+  submitOrder(room, token, { contractId, playerName, side, price, size, orderType }) {
+    if (!playerName || !['bid', 'ask'].includes(side)) return { status: 400, body: { error: 'Invalid side/name' } };
+    if (!isPlayerToken(room, token, playerName)) return unauthorizedReply('Unauthorized - invalid player token');
+    if (!getPlayer(room.gameState, playerName)) return { status: 400, body: { error: 'Player not found' } };
+    const check = validateOrder(room.gameState, { contractId, playerName, side, price, size, orderType });
+    if (check.error) return { status: 400, body: check };
+
+    const { trades } = commit(room, 'submitOrder', check.args, isAdminToken(room, token) ? 'admin' : null);
+    return { status: 200, body: { ok: true, trades } };
+  },
+
+  // All of the player's orders, or only those in contractId
+  cancelOrders(room, token, { playerName, contractId }) {
+    if (!playerName) return { status: 400, body: { error: 'Missing playerName' } };
+    if (!isPlayerToken(room, token, playerName)) return unauthorizedReply('Unauthorized - invalid player token');
+    if (contractId && !getContract(room.gameState, contractId)) return { status: 400, body: { error: 'Unknown contract' } };
+
+    // Check turn-based mode
+    const turnError = checkTurn(room.gameState, playerName);
+    if (turnError) return { status: 400, body: turnError };
+
+    const { cancelled } = commit(room, 'cancelOrders', { playerName, contractId: contractId || null }, isAdminToken(room, token) ? 'admin' : null);
+    return { status: 200, body: { ok: true, cancelled } };
+  },
+
+  // One order by ID (admin, or the player who owns it - on their turn in turn mode)
+  cancelOrder(room, token, { orderId }) {
+    if (!orderId) return { status: 400, body: { error: 'Missing orderId' } };
+    const isAdmin = isAdminToken(room, token);
+    if (!isAdmin && !token) return unauthorizedReply('Unauthorized - invalid player token');
+
+    const found = findOrder(room.gameState, orderId);
+    if (!found) return { status: 404, body: { error: 'Order not found' } };
+    if (!isAdmin) {
+      if (!isPlayerToken(room, token, found.order.player)) return unauthorizedReply('Unauthorized - not your order');
+      const turnError = checkTurn(room.gameState, found.order.player);
+      if (turnError) return { status: 400, body: turnError };
+    }
+
+    const { cancelled } = commit(room, 'cancelOrder', { orderId, byOwner: !isAdmin }, isAdmin ? 'admin' : null);
+    return { status: 200, body: { ok: true, cancelled } };
+  },
+
+  // A resting order's price and/or size (the player who owns it)
+  amendOrder(room, token, { orderId, price, size }) {
+    if (!orderId) return { status: 400, body: { error: 'Missing orderId' } };
+    if (!token) return unauthorizedReply('Unauthorized - invalid player token');
+    const found = findOrder(room.gameState, orderId);
+    if (!found) return { status: 404, body: { error: 'Order not found' } };
+    if (!isPlayerToken(room, token, found.order.player)) return unauthorizedReply('Unauthorized - not your order');
+
+    const check = validateAmend(room.gameState, { ...found, price, size });
+    if (check.error) return { status: 400, body: check };
+
+    const result = commit(room, 'amendOrder', check.args, isAdminToken(room, token) ? 'admin' : null);
+    return { status: 200, body: { ok: true, orderId: result.orderId, trades: result.trades } };
+  },
+};
+
+function orderRequestHandler(name) {
+  return Object.prototype.hasOwnProperty.call(ORDER_REQUESTS, name) ? ORDER_REQUESTS[name] : null;
+}
+
+// --- WebSocket ---
+// /api/ws (or /r/<room>/api/ws) streams the same messages as /api/events and takes order requests
+// on the same connection. The token comes as a Bearer header or ?token=, like /api/events, and
+// ?contract= / ?lastEventId= work the same way. Client messages are JSON text:
+//   { id, action: 'submitOrder' | 'amendOrder' | 'cancelOrder' | 'cancelOrders', ...body of the REST route }
+//     -> { type: 'ack', id, ...reply } or { type: 'reject', id, status, error, ... } with the REST route's reply
+//        (playerName defaults to the connection's player)
+//   { id, action: 'subscribe', contractId } -> ack, then a fresh snapshot of that contract (null = all)
+// Framing follows RFC 6455 (text, ping/pong and close frames; no extensions).
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const WS_OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+const WS_PATH_PATTERN = /^(?:\/r\/([^/]+))?\/api\/ws$/;
+
+function wsFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+function wsSend(socket, text) {
+  if (socket.writable) socket.write(wsFrame(WS_OPCODES.text, Buffer.from(text)));
+}
+
+function wsClose(socket, code = 1000) {
+  // Nothing the client sends after this is read (e.g. frames behind its close frame)
+  socket.removeAllListeners('data');
+  if (!socket.writable) return socket.destroy();
+  const payload = Buffer.alloc(2);
+  payload.writeUInt16BE(code);
+  socket.end(wsFrame(WS_OPCODES.close, payload));
+}
+
+// The first frame in buffer: { fin, opcode, payload, length } (length = bytes used), null if it has not
+// all arrived yet, or { error: <close code> } for frames we refuse (unmasked, control frames that are
+// fragmented or over 125 bytes, or over MAX_BODY_BYTES)
+function wsReadFrame(buffer) {
+  if (buffer.length < 2) return null;
+  let size = buffer[1] & 0x7f;
+  let offset = 2;
+  if (size === 126) {
+    if (buffer.length < 4) return null;
+    size = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (size === 127) {
+    if (buffer.length < 10) return null;
+    const big = buffer.readBigUInt64BE(2);
+    size = big > BigInt(MAX_BODY_BYTES) ? Infinity : Number(big);
+    offset = 10;
+  }
+  if (!(buffer[1] & 0x80)) return { error: 1002 };
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  if (opcode >= 0x8 && (!fin || size > 125)) return { error: 1002 };
+  if (size > MAX_BODY_BYTES) return { error: 1009 };
+  if (buffer.length < offset + 4 + size) return null;
+  const mask = buffer.subarray(offset, offset + 4);
+  const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + size));
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+  return { fin, opcode, payload, length: offset + 4 + size };
+}
+
+function handleWsMessage(room, socket, client, text) {
+  let message;
+  try { message = JSON.parse(text); } catch (_) { message = null; }
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return wsSend(socket, JSON.stringify({ type: 'reject', id: null, status: 400, error: 'Bad JSON' }));
+  }
+  const { id = null, action, ...body } = message;
+  const reply = (status, data) => wsSend(socket, JSON.stringify(
+    status === 200 ? { type: 'ack', id, ...data } : { type: 'reject', id, status, ...data }
+  ));
+
+  // A failing action (e.g. the journal cannot be written) is rejected like a REST 500, not left to crash the server
+  try {
+    dispatchWsMessage(room, socket, client, action, body, reply);
+  } catch (e) {
+    log('error', 'WS', `Message failed: ${e && e.message}`, { room: room.name, action, error: e && e.message });
+    reply(500, { error: 'Internal server error' });
+  }
+}
+
+function dispatchWsMessage(room, socket, client, action, body, reply) {
+  if (action === 'subscribe') {
+    const contractId = body.contractId || null;
+    if (contractId && !getContract(room.gameState, contractId)) return reply(400, { error: 'Unknown contract' });
+    client.contractId = contractId;
+    client.lastVersion = null;
+    reply(200, { ok: true, contractId });
+    return sendPending(room, client);
+  }
+
+  const handler = orderRequestHandler(action);
+  if (!handler) return reply(400, { error: 'Unknown action', actions: ['subscribe', ...Object.keys(ORDER_REQUESTS)] });
+  if (!isAdminToken(room, client.token)) {
+    const retryAfterMs = takeRateToken('trade', rateLimitClient(room, client.token, socket.remoteAddress));
+    if (retryAfterMs) return reply(429, tooManyRequestsError(retryAfterMs));
+  }
+  const viewer = resolveViewer(room, client.token);
+  if (body.playerName === undefined && viewer.role === 'player') body.playerName = viewer.name;
+  const { status, body: result } = handler(room, client.token, body);
+  reply(status, result);
+  if (status === 200) broadcastEvents(room);
+}
+
+// head: the first bytes after the upgrade request, which may already hold the client's first frames
+function handleUpgrade(req, socket, head) {
+  const { pathname, query } = url.parse(req.url, true);
+  const pathMatch = pathname.match(WS_PATH_PATTERN);
+  let room = null;
+  if (pathMatch) {
+    try { room = rooms.get(pathMatch[1] === undefined ? DEFAULT_ROOM : decodeURIComponent(pathMatch[1])); } catch (_) { /* not found */ }
   }
-  // Ensure cash field exists (for backwards compatibility with existing positions)
-  if (gameState.positions[name].cash === undefined) {
-    gameState.positions[name].cash = 0;
+  const key = req.headers['sec-websocket-key'];
+  if (!room || !key || (req.headers['upgrade'] || '').toLowerCase() !== 'websocket') {
+    socket.end(`HTTP/1.1 ${room ? '400 Bad Request' : '404 Not Found'}\r\nConnection: close\r\n\r\n`);
+    return;
   }
-}
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  socket.setNoDelay(true);
 
-function updatePosition(player, quantity, price) {
-  ensurePosition(player);
-  const pos = gameState.positions[player];
-  
-  // Cash flow: buying decreases cash, selling increases cash
-  const cashBefore = pos.cash;
-  pos.cash -= quantity * price;
-  console.log(`[CASH] ${player}: ${cashBefore.toFixed(2)} -> ${pos.cash.toFixed(2)} (qty=${quantity}, price=${price})`);
-  
-  if (quantity > 0) {
-    // Buying
-    pos.totalCost += quantity * price;
-    pos.quantity += quantity;
-  } else {
-    // Selling
-    const sellSize = Math.abs(quantity);
-    if (pos.quantity > 0) {
-      const avgCost = pos.totalCost / pos.quantity;
-      const closedSize = Math.min(sellSize, pos.quantity);
-      const pnl = closedSize * (price - avgCost);
-      pos.realizedPnL += pnl;
-      pos.quantity -= closedSize;
-      pos.totalCost -= closedSize * avgCost;
-      if (sellSize > closedSize) {
-        const shortSize = sellSize - closedSize;
-        pos.quantity -= shortSize;
-        pos.totalCost -= shortSize * price;
+  const lastEventId = parseInt(query.lastEventId, 10);
+  const client = {
+    token: getBearerToken(req) || query.token || null,
+    contractId: query.contract || null,
+    lastVersion: canResume(room, lastEventId) ? lastEventId : null,
+    send: messages => { for (const m of messages) wsSend(socket, m.data); },
+  };
+  room.wsClients.set(socket, client);
+  sendPending(room, client);
+
+  let buffer = Buffer.alloc(0);
+  let fragments = []; // payloads of a text message split over several frames
+  let fragmentsSize = 0;
+  const readFrames = chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let frame;
+    while ((frame = wsReadFrame(buffer))) {
+      if (frame.error) return wsClose(socket, frame.error);
+      buffer = buffer.subarray(frame.length);
+      switch (frame.opcode) {
+        case WS_OPCODES.text:
+        case WS_OPCODES.continuation:
+          fragments.push(frame.payload);
+          fragmentsSize += frame.payload.length;
+          if (fragmentsSize > MAX_BODY_BYTES) return wsClose(socket, 1009);
+          if (frame.fin) {
+            const text = Buffer.concat(fragments).toString();
+            fragments = [];
+            fragmentsSize = 0;
+            handleWsMessage(room, socket, client, text);
+          }
+          break;
+        case WS_OPCODES.ping:
+          if (socket.writable) socket.write(wsFrame(WS_OPCODES.pong, frame.payload));
+          break;
+        case WS_OPCODES.pong:
+          break;
+        case WS_OPCODES.close:
+          return wsClose(socket);
+        default: // binary
+          return wsClose(socket, 1003);
       }
-    } else {
-      pos.quantity -= sellSize;
-      pos.totalCost -= sellSize * price;
     }
-  }
+  };
+  socket.on('data', readFrames);
+  if (head && head.length) readFrames(head);
+  socket.on('close', () => { room.wsClients.delete(socket); });
+  socket.on('error', () => { room.wsClients.delete(socket); });
 }
 
-function matchOrders(newOrder) {
-  const trades = [];
-  let remaining = newOrder.size;
-  const opposite = gameState.orders
-    .filter(o => o.side !== newOrder.side)
-    .filter(o => newOrder.side === 'bid' ? (o.price <= newOrder.price) : (o.price >= newOrder.price))
-    .sort((a, b) => {
-      if (newOrder.side === 'bid') return a.price - b.price || a.id - b.id; // best ask first
-      return b.price - a.price || a.id - b.id; // best bid first
-    });
+// --- HTTP Server ---
+async function handleRequest(req, res) {
+  const parsed = url.parse(req.url, true);
+  const { query } = parsed;
+  let pathname = parsed.pathname;
 
-  for (const order of opposite) {
-    if (remaining <= 0) break;
-    const tradeSize = Math.min(remaining, order.size);
-    const tradePrice = order.price; // passive price
-    const trade = {
-      id: gameState.trades.length + 1,
-      buyer: newOrder.side === 'bid' ? newOrder.player : order.player,
-      seller: newOrder.side === 'bid' ? order.player : newOrder.player,
-      price: tradePrice,
-      size: tradeSize,
-      timestamp: Date.now(),
-    };
-    trades.push(trade);
-    gameState.trades.push(trade);
-    console.log(`[TRADE] ${trade.buyer} buys from ${trade.seller} @ ${tradePrice} x ${tradeSize}`);
-    updatePosition(trade.buyer, tradeSize, tradePrice);
-    updatePosition(trade.seller, -tradeSize, tradePrice);
-    console.log(`[POSITIONS] Buyer: ${JSON.stringify(gameState.positions[trade.buyer])}, Seller: ${JSON.stringify(gameState.positions[trade.seller])}`);
-    order.size -= tradeSize;
-    remaining -= tradeSize;
-    if (order.size === 0) {
-      gameState.orders = gameState.orders.filter(o => o.id !== order.id);
-    }
-  }
+  const startedAt = process.hrtime.bigint();
+  let routed = true; // false once the path turns out to match no route (or no room)
+  res.on('close', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const route = routed ? routeLabel(parsed.pathname) : 'unmatched';
+    recordRequest(req.method, route, res.statusCode, durationMs);
+    log('debug', 'HTTP', `${req.method} ${parsed.pathname} ${res.statusCode} ${durationMs.toFixed(1)}ms`, { method: req.method, route, status: res.statusCode, durationMs });
+  });
 
-  if (remaining > 0) {
-    newOrder.size = remaining;
-    gameState.orders.push(newOrder);
+  // Server-wide monitoring (public, outside the rooms)
+  if (req.method === 'GET' && pathname === '/healthz') {
+    return sendJSON(res, 200, { status: 'ok', uptimeSeconds: Math.round((Date.now() - STARTED_AT) / 1000), rooms: rooms.size });
   }
-  return trades;
-}
-
-function executeMarketOrder(playerName, side, size) {
-  // Market order: execute against all available limit orders until filled or no liquidity
-  const trades = [];
-  let remaining = size;
-  
-  // Get opposite side orders sorted by best price
-  const opposite = gameState.orders
-    .filter(o => o.side !== side)
-    .sort((a, b) => {
-      if (side === 'bid') return a.price - b.price || a.id - b.id; // best ask first for buy
-      return b.price - a.price || a.id - b.id; // best bid first for sell
-    });
-
-  for (const order of opposite) {
-    if (remaining <= 0) break;
-    const tradeSize = Math.min(remaining, order.size);
-    const tradePrice = order.price; // passive price
-    const trade = {
-      id: gameState.trades.length + 1,
-      buyer: side === 'bid' ? playerName : order.player,
-      seller: side === 'bid' ? order.player : playerName,
-      price: tradePrice,
-      size: tradeSize,
-      timestamp: Date.now(),
-    };
-    trades.push(trade);
-    gameState.trades.push(trade);
-    console.log(`[MARKET TRADE] ${trade.buyer} buys from ${trade.seller} @ ${tradePrice} x ${tradeSize}`);
-    updatePosition(trade.buyer, tradeSize, tradePrice);
-    updatePosition(trade.seller, -tradeSize, tradePrice);
-    console.log(`[POSITIONS] Buyer: ${JSON.stringify(gameState.positions[trade.buyer])}, Seller: ${JSON.stringify(gameState.positions[trade.seller])}`);
-    order.size -= tradeSize;
-    remaining -= tradeSize;
-    if (order.size === 0) {
-      gameState.orders = gameState.orders.filter(o => o.id !== order.id);
-    }
+  if (req.method === 'GET' && pathname === '/metrics') {
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4', 'Cache-Control': 'no-store' });
+    return res.end(renderMetrics());
   }
 
-  return { trades, remaining };
-}
-
-function settleContract() {
-  const totalSiblings = Object.values(gameState.players).reduce((sum, p) => sum + p.siblingCount, 0);
-  if (totalSiblings === 0) return { error: 'No players added yet' };
-  gameState.settledPrice = totalSiblings;
-  
-  console.log(`[SETTLEMENT] Contract settling at price ${totalSiblings}`);
-  
-  for (const name of Object.keys(gameState.positions)) {
-    const pos = gameState.positions[name];
-    if (pos.quantity !== 0) {
-      // Calculate P&L on position
-      const avgPrice = pos.quantity > 0 ? pos.totalCost / pos.quantity : -pos.totalCost / Math.abs(pos.quantity);
-      const unrealizedPnL = pos.quantity * (totalSiblings - avgPrice);
-      pos.realizedPnL += unrealizedPnL;
-      
-      // Cash settlement: receive cash for position value at settlement price
-      // Long position: receive quantity * settledPrice
-      // Short position: pay quantity * settledPrice (negative quantity means paying)
-      const settlementCash = pos.quantity * totalSiblings;
-      pos.cash += settlementCash;
-      
-      console.log(`[SETTLEMENT] ${name}: position=${pos.quantity}, settlementCash=${settlementCash.toFixed(2)}, finalCash=${pos.cash.toFixed(2)}`);
-      
-      // Clear position
-      pos.quantity = 0;
-      pos.totalCost = 0;
+  // Room-prefixed routes (/r/<room>/...) are handled below with the room-relative path;
+  // everything else addresses the default room
+  let room = rooms.get(DEFAULT_ROOM);
+  const roomMatch = pathname.match(/^\/r\/([^/]+)(\/.*)?$/);
+  if (roomMatch) {
+    let roomName;
+    try { roomName = decodeURIComponent(roomMatch[1]); } catch (e) {
+      routed = false;
+      return notFound(res);
     }
+    room = rooms.get(roomName);
+    if (!room) {
+      routed = false;
+      return sendJSON(res, 404, { error: 'Room not found' });
+    }
+    if (!roomMatch[2]) {
+      res.writeHead(302, { Location: `${pathname}/client` });
+      return res.end();
+    }
+    pathname = roomMatch[2];
   }
-  
-  return { settledPrice: totalSiblings };
-}
 
-// --- HTTP Server ---
-const server = http.createServer(async (req, res) => {
-  const { pathname } = url.parse(req.url, true);
+  const rateLimit = req.method === 'POST' && RATE_LIMITED_ROUTES[pathname];
+  if (rateLimit && !checkAdminAuth(room, req)) {
+    const retryAfterMs = takeRateToken(rateLimit, rateLimitClient(room, getBearerToken(req), req.socket.remoteAddress));
+    if (retryAfterMs) return tooManyRequests(res, retryAfterMs);
+  }
 
   // Static files - Client page (public)
   if (req.method === 'GET' && (pathname === '/' || pathname === '/client')) {
@@ -307,14 +2533,24 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // Spectator page (public) - read-only view for a projector, fed by the public event stream
+  if (req.method === 'GET' && pathname === '/spectate') {
+    const filePath = path.join(__dirname, '..', 'frontend', 'spectator.html');
+    fs.readFile(filePath, (err, data) => {
+      if (err) return notFound(res);
+      res.writeHead(200, { 'Content-Type': 'text/html', 'Cache-Control': 'no-store' });
+      res.end(data);
+    });
+    return;
+  }
+
   // Admin page (token protected)
   if (req.method === 'GET' && pathname === '/admin') {
-    const { query } = url.parse(req.url, true);
     const tokenFromQuery = query.token;
     const authHeader = req.headers['authorization'];
     const tokenFromHeader = authHeader ? authHeader.replace(/^Bearer\s+/i, '') : null;
     
-    if (tokenFromQuery !== ADMIN_TOKEN && tokenFromHeader !== ADMIN_TOKEN) {
+    if (!isAdminToken(room, tokenFromQuery) && !isAdminToken(room, tokenFromHeader)) {
       res.writeHead(401, { 'Content-Type': 'text/html', 'Cache-Control': 'no-store' });
       res.end(`<!DOCTYPE html>
 <html><head><title>Admin Access</title>
@@ -324,7 +2560,7 @@ h1{color:#00d4ff;}input{width:100%;padding:12px;margin:15px 0;background:#0f3460
 button{background:#00d4ff;color:#16213e;border:none;padding:12px 24px;font-weight:bold;cursor:pointer;border-radius:4px;font-size:1em;}
 button:hover{background:#00a8cc;}.error{color:#ff3232;margin-top:10px;}</style></head>
 <body><div class="box"><h1>🔐 Admin Access</h1><p>Enter the admin token displayed in the server console:</p>
-<form method="GET" action="/admin"><input type="password" name="token" placeholder="Admin Token" required>
+<form method="GET" action="admin"><input type="password" name="token" placeholder="Admin Token" required>
 <button type="submit">Access Admin Panel</button></form></div></body></html>`);
       return;
     }
@@ -349,8 +2585,14 @@ button:hover{background:#00a8cc;}.error{color:#ff3232;margin-top:10px;}</style><
     return;
   }
 
-  // SSE events
+  // SSE events (EventSource cannot set headers, so the viewer's token may come as ?token=;
+  // ?contract=<id> subscribes to a single contract). Each message id is the room version: a
+  // reconnecting EventSource sends it back as Last-Event-ID (or ?lastEventId=) and receives only
+  // the events it missed, or a full snapshot if they are no longer in the log.
   if (req.method === 'GET' && pathname === '/api/events') {
+    const token = getBearerToken(req) || query.token || null;
+    const contractId = query.contract || null;
+    const lastEventId = parseInt(req.headers['last-event-id'] || query.lastEventId, 10);
     res.writeHead(200, {
       'Content-Type': 'text/event-stream',
       'Cache-Control': 'no-store',
@@ -358,248 +2600,401 @@ button:hover{background:#00a8cc;}.error{color:#ff3232;margin-top:10px;}</style><
       'Access-Control-Allow-Origin': '*',
     });
     res.write(`retry: 2000\n\n`);
-    sseClients.add(res);
-    // send initial state
-    res.write(`data: ${JSON.stringify({ type: 'state', version, state: gameState })}\n\n`);
-    req.on('close', () => { sseClients.delete(res); });
+    const client = {
+      token,
+      contractId,
+      lastVersion: canResume(room, lastEventId) ? lastEventId : null,
+      send: messages => res.write(sseText(messages)),
+    };
+    room.sseClients.set(res, client);
+    // send missed events (or the initial snapshot)
+    sendPending(room, client);
+    req.on('close', () => { room.sseClients.delete(res); });
     return;
   }
 
   // API: get state
   if (req.method === 'GET' && pathname === '/api/state') {
-    return sendJSON(res, 200, { version, state: gameState });
+    const viewer = resolveViewer(room, getBearerToken(req) || query.token || null);
+    return sendJSON(res, 200, { version: room.version, state: buildStateView(room, viewer, query.contract || null) });
+  }
+
+  // API: realized and unrealized (marked to mid) P&L per player, per contract and summed over them as each
+  // player's portfolio - optional ?contract=<id>. Redacted like /api/state: before settlement only the admin
+  // sees every player's figures, a player their own, and everyone else the quantities only
+  if (req.method === 'GET' && pathname === '/api/pnl') {
+    const contractId = query.contract || null;
+    if (contractId && !getContract(room.gameState, contractId)) return sendJSON(res, 400, { error: 'Unknown contract' });
+    const viewer = resolveViewer(room, getBearerToken(req) || query.token || null);
+    const contracts = {};
+    for (const contract of Object.values(room.gameState.contracts)) {
+      if (contractId && contract.id !== contractId) continue;
+      const pnl = getContractPnL(contract);
+      if (viewer.role !== 'admin' && contract.settledPrice === null) {
+        for (const name of Object.keys(pnl.players)) {
+          if (name !== viewer.name) pnl.players[name] = redactPnL(pnl.players[name]);
+        }
+      }
+      contracts[contract.id] = pnl;
+    }
+    return sendJSON(res, 200, { contracts, portfolio: getPortfolioPnL(Object.values(contracts)) });
   }
 
-  // API: add player (public - no auth required for self-registration)
+  // API: add player (public - self-registration issues the player's session token;
+  // with the admin token the player is created unclaimed and the first self-registration claims it)
   if (req.method === 'POST' && pathname === '/api/addPlayer') {
     try {
       const { name, count, isDummy } = await readBody(req);
-      if (!name || typeof count !== 'number' || count < 0) return sendJSON(res, 400, { error: 'Invalid input' });
-      gameState.players[name] = { siblingCount: count, revealed: false, isDummy: isDummy || false };
-      if (!gameState.positions[name]) gameState.positions[name] = { quantity: 0, totalCost: 0, realizedPnL: 0, cash: 0 };
-      version++;
+      const inputError = validatePlayerInput(name, count);
+      if (inputError) return sendJSON(res, 400, { error: inputError });
+      const isAdmin = checkAdminAuth(room, req);
+      // Dummies sit out of turns and the tighten-or-trade rule, so only the admin creates them
+      if (isDummy && !isAdmin) return sendJSON(res, 403, { error: 'Only the admin can add dummy players' });
+      const { gameState } = room;
+      const existing = findPlayerName(gameState, name);
+      if (existing !== null && existing !== name) return sendJSON(res, 409, { error: `Name already taken by ${existing}` });
+      if (!isAdmin && existing !== null) {
+        // Claiming a name the admin added (or whose token was revoked): the admin's sibling count stands
+        const player = gameState.players[name];
+        if (Object.hasOwn(room.playerTokens, name) || player.isDummy) return sendJSON(res, 409, { error: 'Player already registered' });
+        const token = generateToken();
+        commit(room, 'setPlayerToken', { name, token });
+        return sendJSON(res, 200, { ok: true, token, siblingCount: player.siblingCount });
+      }
+      if (!isAdmin && !gameState.registrationOpen) return sendJSON(res, 403, { error: 'Registration is closed' });
+      const token = isAdmin ? null : generateToken();
+      commit(room, 'addPlayer', { name, count, isDummy: isDummy === true, token }, isAdmin ? 'admin' : null);
+      sendJSON(res, 200, token ? { ok: true, token, siblingCount: count } : { ok: true });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: open or close registration of new player names (admin only)
+  if (req.method === 'POST' && pathname === '/api/setRegistration') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const { open } = await readBody(req);
+      if (typeof open !== 'boolean') return sendJSON(res, 400, { error: 'open must be true or false' });
+      commit(room, 'setRegistration', { open }, 'admin');
+      sendJSON(res, 200, { ok: true, registrationOpen: open });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: show or hide panels of the spectator page (admin only) - body { book?, tape?, chart?, stats?, leaderboard?, players?, news? }
+  if (req.method === 'POST' && pathname === '/api/setSpectatorPanels') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const body = await readBody(req);
+      const panels = { ...room.gameState.spectatorPanels };
+      for (const [key, value] of Object.entries(body)) {
+        if (!(key in DEFAULT_SPECTATOR_PANELS)) {
+          return sendJSON(res, 400, { error: `Unknown panel ${key} (expected ${Object.keys(DEFAULT_SPECTATOR_PANELS).join(', ')})` });
+        }
+        if (typeof value !== 'boolean') return sendJSON(res, 400, { error: `${key} must be true or false` });
+        panels[key] = value;
+      }
+      commit(room, 'setSpectatorPanels', { panels }, 'admin');
+      sendJSON(res, 200, { ok: true, spectatorPanels: room.gameState.spectatorPanels });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: reissue a player's session token (admin only - the old token stops working)
+  if (req.method === 'POST' && pathname === '/api/reissuePlayerToken') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const { name } = await readBody(req);
+      const player = getPlayer(room.gameState, name);
+      if (!player) return sendJSON(res, 400, { error: 'Invalid player' });
+      if (player.isDummy) return sendJSON(res, 400, { error: 'Dummy players do not use tokens' });
+      const token = generateToken();
+      commit(room, 'setPlayerToken', { name, token }, 'admin');
+      sendJSON(res, 200, { ok: true, name, token });
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: revoke a player's session token (admin only - the name can then be claimed again via addPlayer)
+  if (req.method === 'POST' && pathname === '/api/revokePlayerToken') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const { name } = await readBody(req);
+      if (!getPlayer(room.gameState, name)) return sendJSON(res, 400, { error: 'Invalid player' });
+      commit(room, 'setPlayerToken', { name, token: null }, 'admin');
       sendJSON(res, 200, { ok: true });
-      broadcastState();
-    } catch (e) { sendJSON(res, 400, { error: 'Bad JSON' }); }
+    } catch (e) { sendBodyError(res, e); }
     return;
   }
 
   // API: add dummy player (admin only - creates a player that doesn't participate in turns)
   if (req.method === 'POST' && pathname === '/api/addDummyPlayer') {
-    if (!checkAdminAuth(req)) return unauthorized(res);
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
     try {
       const { name, count } = await readBody(req);
-      if (!name || typeof count !== 'number' || count < 0) return sendJSON(res, 400, { error: 'Invalid input' });
-      gameState.players[name] = { siblingCount: count, revealed: false, isDummy: true };
-      if (!gameState.positions[name]) gameState.positions[name] = { quantity: 0, totalCost: 0, realizedPnL: 0, cash: 0 };
-      version++;
+      const inputError = validatePlayerInput(name, count);
+      if (inputError) return sendJSON(res, 400, { error: inputError });
+      if (findPlayerName(room.gameState, name) !== null) return sendJSON(res, 409, { error: 'Player already exists' });
+      commit(room, 'addPlayer', { name, count, isDummy: true, token: null }, 'admin');
       sendJSON(res, 200, { ok: true });
-      broadcastState();
-    } catch (e) { sendJSON(res, 400, { error: 'Bad JSON' }); }
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
     return;
   }
 
   // API: submit dummy order (admin only - place limit order for a dummy player)
   if (req.method === 'POST' && pathname === '/api/submitDummyOrder') {
-    if (!checkAdminAuth(req)) return unauthorized(res);
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
     try {
-      const { playerName, side, price, size } = await readBody(req);
-      if (!playerName || !gameState.players[playerName]) return sendJSON(res, 400, { error: 'Player not found' });
-      if (!gameState.players[playerName].isDummy) return sendJSON(res, 400, { error: 'Player is not a dummy player' });
+      const { contractId, playerName, side, price, size } = await readBody(req);
+      const contract = getContract(room.gameState, contractId);
+      if (!contract) return sendJSON(res, 400, { error: 'Unknown contract' });
+      if (contract.settledPrice !== null) return sendJSON(res, 400, { error: 'Contract already settled' });
+      const player = getPlayer(room.gameState, playerName);
+      if (!player) return sendJSON(res, 400, { error: 'Player not found' });
+      if (!player.isDummy) return sendJSON(res, 400, { error: 'Player is not a dummy player' });
       if (!['bid', 'ask'].includes(side)) return sendJSON(res, 400, { error: 'Invalid side' });
-      const p = Number(price), s = Number(size);
-      if (!Number.isFinite(p) || p <= 0) return sendJSON(res, 400, { error: 'Invalid price' });
-      if (!Number.isInteger(p)) return sendJSON(res, 400, { error: 'Price must be an integer' });
+      const { rules } = room.gameState;
+      const priceCheck = checkPrice(priceRulesFor(room.gameState, contract), price);
+      if (priceCheck.error) return sendJSON(res, 400, priceCheck);
+      const p = priceCheck.price, s = Number(size);
       if (!Number.isInteger(s) || s <= 0) return sendJSON(res, 400, { error: 'Invalid size' });
+      if (rules.tightenOrTrade === 'all' && contract.mode !== 'auction' && !canPlaceOrder(contract, side, p)) {
+        return sendJSON(res, 400, { error: 'Tighten or trade', ...getBestBidAsk(contract) });
+      }
       
-      // Dummy orders bypass tighten-or-trade rule
-      ensurePosition(playerName);
-      const order = { id: gameState.orderIdCounter++, player: playerName, side, price: p, size: s, timestamp: Date.now() };
-      const trades = matchOrders(order);
-      
-      version++;
+      const { trades } = commit(room, 'submitDummyOrder', { contractId: contract.id, playerName, side, price: p, size: s }, 'admin');
       sendJSON(res, 200, { ok: true, trades });
-      broadcastState();
-    } catch (e) { sendJSON(res, 400, { error: 'Bad JSON' }); }
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
     return;
   }
 
   // API: toggle reveal
   if (req.method === 'POST' && pathname === '/api/toggleReveal') {
-    if (!checkAdminAuth(req)) return unauthorized(res);
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
     try {
       const { name } = await readBody(req);
-      if (!name || !gameState.players[name]) return sendJSON(res, 400, { error: 'Invalid player' });
-      gameState.players[name].revealed = !gameState.players[name].revealed;
-      version++;
+      if (!getPlayer(room.gameState, name)) return sendJSON(res, 400, { error: 'Invalid player' });
+      commit(room, 'toggleReveal', { name }, 'admin');
       sendJSON(res, 200, { ok: true });
-      broadcastState();
-    } catch (e) { sendJSON(res, 400, { error: 'Bad JSON' }); }
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
     return;
   }
 
-  // API: submit order
-  if (req.method === 'POST' && pathname === '/api/submitOrder') {
+  // API: add a rule to the reveal schedule (admin only) - see Information Reveals
+  if (req.method === 'POST' && pathname === '/api/addRevealRule') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
     try {
-      const { playerName, side, price, size, orderType } = await readBody(req);
-      if (!playerName || !['bid', 'ask'].includes(side)) return sendJSON(res, 400, { error: 'Invalid side/name' });
-      const s = Number(size);
-      if (!Number.isInteger(s) || s <= 0) return sendJSON(res, 400, { error: 'Invalid size' });
-      
-      // Check turn-based mode
-      if (gameState.turnOrder.length > 0 && gameState.currentTurnIndex >= 0) {
-        const currentPlayer = gameState.turnOrder[gameState.currentTurnIndex];
-        if (playerName !== currentPlayer) {
-          return sendJSON(res, 400, { error: 'Not your turn', currentPlayer });
-        }
-      }
-      
-      ensurePosition(playerName);
-      let trades = [];
-      
-      // Handle market order vs limit order
-      if (orderType === 'market') {
-        // Market order: execute immediately against all available liquidity
-        const result = executeMarketOrder(playerName, side, s);
-        trades = result.trades;
-        
-        if (result.remaining > 0) {
-          // Partial fill or no fill
-          const filled = s - result.remaining;
-          if (filled === 0) {
-            return sendJSON(res, 400, { error: 'Insufficient liquidity - market order could not be filled' });
-          } else {
-            console.log(`[MARKET ORDER] Partial fill: ${filled}/${s} contracts`);
-          }
-        }
-      } else {
-        // Limit order: validate price and apply tighten-or-trade rule
-        const p = Number(price);
-        if (!Number.isFinite(p) || p <= 0) return sendJSON(res, 400, { error: 'Invalid price' });
-        if (!Number.isInteger(p)) return sendJSON(res, 400, { error: 'Price must be an integer' });
-        
-        // tighten or trade rule
-        if (!canPlaceOrder(side, p)) {
-          const { bestBid, bestAsk } = getBestBidAsk();
-          return sendJSON(res, 400, { error: 'Tighten or trade', bestBid, bestAsk });
-        }
-        
-        const order = { id: gameState.orderIdCounter++, player: playerName, side, price: p, size: s, timestamp: Date.now() };
-        trades = matchOrders(order);
-      }
-      
-      // Advance turn if in turn-based mode
-      if (gameState.turnOrder.length > 0 && gameState.currentTurnIndex >= 0) {
-        gameState.currentTurnIndex = (gameState.currentTurnIndex + 1) % gameState.turnOrder.length;
-        capturePriceHistory();
-      }
-      
-      version++;
-      sendJSON(res, 200, { ok: true, trades });
-      broadcastState();
-    } catch (e) { sendJSON(res, 400, { error: 'Bad JSON' }); }
+      const check = validateRevealRule(room.gameState, await readBody(req));
+      if (check.error) return sendJSON(res, 400, { error: check.error });
+      commit(room, 'addRevealRule', { rule: check.rule }, 'admin');
+      const { revealSchedule } = room.gameState;
+      sendJSON(res, 200, { ok: true, rule: revealSchedule[revealSchedule.length - 1] });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
     return;
   }
 
-  // API: cancel orders
-  if (req.method === 'POST' && pathname === '/api/cancelOrders') {
+  // API: remove a reveal rule (admin only)
+  if (req.method === 'POST' && pathname === '/api/removeRevealRule') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
     try {
-      const { playerName } = await readBody(req);
-      if (!playerName) return sendJSON(res, 400, { error: 'Missing playerName' });
-      
-      // Check turn-based mode
-      if (gameState.turnOrder.length > 0 && gameState.currentTurnIndex >= 0) {
-        const currentPlayer = gameState.turnOrder[gameState.currentTurnIndex];
-        if (playerName !== currentPlayer) {
-          return sendJSON(res, 400, { error: 'Not your turn', currentPlayer });
+      const { id } = await readBody(req);
+      if (!room.gameState.revealSchedule.some(rule => rule.id === id)) return sendJSON(res, 400, { error: 'Unknown reveal rule' });
+      commit(room, 'removeRevealRule', { id }, 'admin');
+      sendJSON(res, 200, { ok: true });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: public news message to every client (admin only)
+  if (req.method === 'POST' && pathname === '/api/news') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const { text } = await readBody(req);
+      const message = typeof text === 'string' ? text.trim() : '';
+      if (!message) return sendJSON(res, 400, { error: 'News text is required' });
+      if (message.length > MAX_NEWS_LENGTH) return sendJSON(res, 400, { error: `News is limited to ${MAX_NEWS_LENGTH} characters` });
+      commit(room, 'postNews', { text: message }, 'admin');
+      sendJSON(res, 200, { ok: true, item: room.gameState.news[room.gameState.news.length - 1] });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: publish a hint about a player's count (admin only); without relation and value a random
+  // true hint is picked, otherwise it must be true
+  if (req.method === 'POST' && pathname === '/api/hint') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const { gameState } = room;
+      const { name, relation, value } = await readBody(req);
+      const player = getPlayer(gameState, name);
+      if (!player) return sendJSON(res, 400, { error: 'Invalid player' });
+      let hint;
+      if (relation === undefined && value === undefined) {
+        hint = randomHint(gameState, name);
+      } else {
+        if (!HINT_RELATIONS.includes(relation)) return sendJSON(res, 400, { error: `relation must be one of: ${HINT_RELATIONS.join(', ')}` });
+        if (!Number.isInteger(value) || value < 0) return sendJSON(res, 400, { error: 'value must be a whole number' });
+        if (!isTrueHint(player.siblingCount, relation, value)) {
+          return sendJSON(res, 400, { error: `Hint is not true: ${name} has ${player.siblingCount}` });
         }
+        hint = { relation, value };
       }
-      
-      const before = gameState.orders.length;
-      gameState.orders = gameState.orders.filter(o => o.player !== playerName);
-      const cancelled = before - gameState.orders.length;
-      
-      // Advance turn if in turn-based mode and orders were cancelled
-      if (cancelled > 0 && gameState.turnOrder.length > 0 && gameState.currentTurnIndex >= 0) {
-        gameState.currentTurnIndex = (gameState.currentTurnIndex + 1) % gameState.turnOrder.length;
-        capturePriceHistory();
-      }
-      
-      version++;
-      sendJSON(res, 200, { ok: true, cancelled });
-      broadcastState();
-    } catch (e) { sendJSON(res, 400, { error: 'Bad JSON' }); }
+      commit(room, 'postHint', { name, ...hint }, 'admin');
+      sendJSON(res, 200, { ok: true, item: gameState.news[gameState.news.length - 1] });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
     return;
   }
 
-  // API: cancel single order by ID (admin only)
-  if (req.method === 'POST' && pathname === '/api/cancelOrder') {
-    if (!checkAdminAuth(req)) return unauthorized(res);
+  // API: order requests (submitOrder, cancelOrders, cancelOrder, amendOrder) - see ORDER_REQUESTS
+  const orderRequest = req.method === 'POST' && orderRequestHandler(pathname.replace(/^\/api\//, ''));
+  if (orderRequest) {
     try {
-      const { orderId } = await readBody(req);
-      if (!orderId) return sendJSON(res, 400, { error: 'Missing orderId' });
-      
-      const before = gameState.orders.length;
-      gameState.orders = gameState.orders.filter(o => o.id !== orderId);
-      const cancelled = before - gameState.orders.length;
-      
-      if (cancelled === 0) {
-        return sendJSON(res, 404, { error: 'Order not found' });
-      }
-      
-      version++;
-      sendJSON(res, 200, { ok: true, cancelled });
-      broadcastState();
-    } catch (e) { sendJSON(res, 400, { error: 'Bad JSON' }); }
+      const { status, body } = orderRequest(room, getBearerToken(req), await readBody(req));
+      sendJSON(res, status, body);
+      if (status === 200) broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
     return;
   }
 
   // API: reset
   if (req.method === 'POST' && pathname === '/api/reset') {
-    if (!checkAdminAuth(req)) return unauthorized(res);
-    gameState = { players: {}, orders: [], trades: [], positions: {}, orderIdCounter: 1, settledPrice: null, turnOrder: [], currentTurnIndex: -1, priceHistory: [] };
-    version++;
-    sendJSON(res, 200, { ok: true });
-    broadcastState();
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      commit(room, 'reset', {}, 'admin');
+      sendJSON(res, 200, { ok: true });
+      broadcastEvents(room);
+    } catch (e) { sendServerError(res, e); }
     return;
   }
 
-  // API: settle
+  // API: settle (one contract, or every open contract if contractId is omitted)
   if (req.method === 'POST' && pathname === '/api/settle') {
-    if (!checkAdminAuth(req)) return unauthorized(res);
-    const result = settleContract();
-    if (result && result.error) return sendJSON(res, 400, result);
-    version++;
-    sendJSON(res, 200, { ok: true, ...result });
-    broadcastState();
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const { contractId } = await readBody(req);
+      if (Object.keys(room.gameState.players).length === 0) return sendJSON(res, 400, { error: 'No players added yet' });
+      if (contractId) {
+        const contract = getContract(room.gameState, contractId);
+        if (!contract) return sendJSON(res, 400, { error: 'Unknown contract' });
+        if (contract.settledPrice !== null) return sendJSON(res, 400, { error: 'Contract already settled' });
+        if (isPendingCalendar(contract)) return sendJSON(res, 400, { error: 'A calendar spread settles in the next round' });
+      }
+      const result = commit(room, 'settle', { contractId: contractId || null }, 'admin');
+      sendJSON(res, 200, { ok: true, ...result });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: switch a contract between continuous trading and a call auction (admin only) - switching
+  // back to continuous uncrosses the auction first
+  if (req.method === 'POST' && pathname === '/api/setMarketMode') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const { contractId, mode } = await readBody(req);
+      const contract = getContract(room.gameState, contractId);
+      if (!contract) return sendJSON(res, 400, { error: 'Unknown contract' });
+      if (contract.settledPrice !== null) return sendJSON(res, 400, { error: 'Contract already settled' });
+      if (!MARKET_MODES.includes(mode)) return sendJSON(res, 400, { error: 'Unknown market mode', modes: MARKET_MODES });
+      if (contract.mode === mode) return sendJSON(res, 400, { error: `Contract is already in ${mode} mode` });
+      const { trades } = commit(room, 'setMarketMode', { contractId: contract.id, mode }, 'admin');
+      sendJSON(res, 200, { ok: true, mode, trades });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: uncross a call auction (admin only) - every crossing order fills at one clearing price;
+  // the contract stays in auction mode for the next call
+  if (req.method === 'POST' && pathname === '/api/uncross') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const { contractId } = await readBody(req);
+      const contract = getContract(room.gameState, contractId);
+      if (!contract) return sendJSON(res, 400, { error: 'Unknown contract' });
+      if (contract.mode !== 'auction') return sendJSON(res, 400, { error: 'Contract is not in a call auction' });
+      const result = commit(room, 'uncross', { contractId: contract.id }, 'admin');
+      sendJSON(res, 200, { ok: true, ...result });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: add contract (admin only - a new book settling by one of SETTLEMENT_RULES, or by a
+  // derivative payoff of it - see Derivatives)
+  if (req.method === 'POST' && pathname === '/api/addContract') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const { id, name, rule, derivative: derivativeInput } = await readBody(req);
+      if (typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,32}$/.test(id)) {
+        return sendJSON(res, 400, { error: 'Contract id must be 1-32 letters, digits, - or _' });
+      }
+      if (getContract(room.gameState, id)) return sendJSON(res, 400, { error: `Contract ${id} already exists` });
+      if (!Object.prototype.hasOwnProperty.call(SETTLEMENT_RULES, rule)) {
+        return sendJSON(res, 400, { error: 'Unknown settlement rule', rules: Object.keys(SETTLEMENT_RULES) });
+      }
+      if (name !== undefined && name !== null && (typeof name !== 'string' || name.trim().length > MAX_CONTRACT_NAME_LENGTH)) {
+        return sendJSON(res, 400, { error: `Contract name must be text of up to ${MAX_CONTRACT_NAME_LENGTH} characters` });
+      }
+      const { error, types, derivative } = validateDerivative(room.gameState, derivativeInput);
+      if (error) return sendJSON(res, 400, types ? { error, types } : { error });
+      const label = (name && name.trim()) || contractLabel(rule, derivative);
+      commit(room, 'addContract', { id, name: label, rule, derivative }, 'admin');
+      sendJSON(res, 200, { ok: true, contractId: id });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: remove contract (admin only - only before anything has traded in it)
+  if (req.method === 'POST' && pathname === '/api/removeContract') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const { contractId } = await readBody(req);
+      const contract = contractId ? getContract(room.gameState, contractId) : null;
+      if (!contract) return sendJSON(res, 400, { error: 'Unknown contract' });
+      if (contract.trades.length > 0) return sendJSON(res, 400, { error: 'Contract has trades and cannot be removed' });
+      commit(room, 'removeContract', { contractId: contract.id }, 'admin');
+      sendJSON(res, 200, { ok: true });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
     return;
   }
 
   // API: set turn order
   if (req.method === 'POST' && pathname === '/api/setTurnOrder') {
-    if (!checkAdminAuth(req)) return unauthorized(res);
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
     try {
       const { turnOrder } = await readBody(req);
       if (!Array.isArray(turnOrder)) return sendJSON(res, 400, { error: 'turnOrder must be array' });
       
       // Validate all players exist
       for (const name of turnOrder) {
-        if (!gameState.players[name]) {
+        if (!getPlayer(room.gameState, name)) {
           return sendJSON(res, 400, { error: `Player ${name} not found` });
         }
       }
       
-      gameState.turnOrder = turnOrder;
-      version++;
+      commit(room, 'setTurnOrder', { turnOrder }, 'admin');
       sendJSON(res, 200, { ok: true });
-      broadcastState();
-    } catch (e) { sendJSON(res, 400, { error: 'Bad JSON' }); }
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
     return;
   }
 
   // API: set current turn by player name
   if (req.method === 'POST' && pathname === '/api/setCurrentTurn') {
-    if (!checkAdminAuth(req)) return unauthorized(res);
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
     try {
       const { playerName } = await readBody(req);
       if (playerName === null || playerName === undefined) {
@@ -607,58 +3002,428 @@ button:hover{background:#00a8cc;}.error{color:#ff3232;margin-top:10px;}</style><
       }
       
       // Allow setting to -1 or empty string to disable turns
-      if (playerName === -1 || playerName === '') {
-        gameState.currentTurnIndex = -1;
-      } else {
-        const index = gameState.turnOrder.indexOf(playerName);
-        if (index === -1) {
+      let currentTurnIndex = -1;
+      if (playerName !== -1 && playerName !== '') {
+        currentTurnIndex = room.gameState.turnOrder.indexOf(playerName);
+        if (currentTurnIndex === -1) {
           return sendJSON(res, 400, { error: `Player ${playerName} not in turn order` });
         }
-        gameState.currentTurnIndex = index;
       }
       
-      version++;
-      sendJSON(res, 200, { ok: true, currentTurnIndex: gameState.currentTurnIndex });
-      broadcastState();
-    } catch (e) { sendJSON(res, 400, { error: 'Bad JSON' }); }
+      commit(room, 'setCurrentTurn', { currentTurnIndex }, 'admin');
+      sendJSON(res, 200, { ok: true, currentTurnIndex: room.gameState.currentTurnIndex });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
     return;
   }
 
   // API: start turns (set currentTurnIndex to 0)
   if (req.method === 'POST' && pathname === '/api/startTurns') {
-    if (!checkAdminAuth(req)) return unauthorized(res);
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
     try {
-      if (gameState.turnOrder.length === 0) {
+      if (room.gameState.turnOrder.length === 0) {
         return sendJSON(res, 400, { error: 'Turn order is empty. Add players to turn order first.' });
       }
-      gameState.currentTurnIndex = 0;
-      version++;
-      sendJSON(res, 200, { ok: true, currentPlayer: gameState.turnOrder[0] });
-      broadcastState();
-    } catch (e) { sendJSON(res, 500, { error: e.message }); }
+      commit(room, 'setCurrentTurn', { currentTurnIndex: 0 }, 'admin');
+      sendJSON(res, 200, { ok: true, currentPlayer: room.gameState.turnOrder[0] });
+      broadcastEvents(room);
+    } catch (e) { sendServerError(res, e); }
     return;
   }
 
   // API: stop turns (set currentTurnIndex to -1)
   if (req.method === 'POST' && pathname === '/api/stopTurns') {
-    if (!checkAdminAuth(req)) return unauthorized(res);
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      commit(room, 'setCurrentTurn', { currentTurnIndex: -1 }, 'admin');
+      sendJSON(res, 200, { ok: true });
+      broadcastEvents(room);
+    } catch (e) { sendServerError(res, e); }
+    return;
+  }
+
+  // API: per-turn time limit (admin only) - seconds null/0 turns the limit off
+  if (req.method === 'POST' && pathname === '/api/setTurnTimeLimit') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const { seconds } = await readBody(req);
+      if (seconds !== null && seconds !== undefined && seconds !== 0 && !(Number.isFinite(seconds) && seconds >= 5)) {
+        return sendJSON(res, 400, { error: 'Time limit must be at least 5 seconds (or null for none)' });
+      }
+      commit(room, 'setTurnTimeLimit', { limitMs: seconds ? Math.round(seconds * 1000) : null }, 'admin');
+      sendJSON(res, 200, { ok: true, turnClock: room.gameState.turnClock });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: pause / resume the turn clock (admin only)
+  if (req.method === 'POST' && (pathname === '/api/pauseClock' || pathname === '/api/resumeClock')) {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    const clock = room.gameState.turnClock;
+    if (clock.limitMs === null) return sendJSON(res, 400, { error: 'No turn time limit set' });
+    const pausing = pathname === '/api/pauseClock';
+    if (pausing && clock.paused) return sendJSON(res, 400, { error: 'Turn clock is already paused' });
+    if (!pausing && !clock.paused) return sendJSON(res, 400, { error: 'Turn clock is not paused' });
+    try {
+      commit(room, pausing ? 'pauseClock' : 'resumeClock', {}, 'admin');
+      sendJSON(res, 200, { ok: true, turnClock: room.gameState.turnClock });
+      broadcastEvents(room);
+    } catch (e) { sendServerError(res, e); }
+    return;
+  }
+
+  // API: debrief exports (admin only) - /api/export/<trades|orders|priceHistory|pnl|leaderboard|tournament>?format=csv|json&contract=<id>
+  // &round=<n> exports a finished tournament round instead of the current one
+  const exportMatch = pathname.match(/^\/api\/export\/([A-Za-z]+)$/);
+  if (req.method === 'GET' && exportMatch) {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    const kind = exportMatch[1];
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_COLUMNS, kind)) {
+      return sendJSON(res, 404, { error: `Unknown export: ${kind}`, exports: Object.keys(EXPORT_COLUMNS) });
+    }
+    const format = query.format || 'json';
+    if (format !== 'json' && format !== 'csv') return sendJSON(res, 400, { error: 'Format must be csv or json' });
+    let gameState = room.gameState;
+    if (query.round !== undefined) {
+      const { tournament } = gameState;
+      if (!tournament) return sendJSON(res, 400, { error: 'No tournament running' });
+      const round = Number(query.round);
+      if (!Number.isInteger(round) || round < 1 || round > tournament.round) {
+        return sendJSON(res, 400, { error: `Round must be between 1 and ${tournament.round}` });
+      }
+      if (round < tournament.round) gameState = archivedRound(gameState, round);
+      if (!gameState) return sendJSON(res, 400, { error: `Round ${round} was not archived` });
+    }
+    const contractId = query.contract || null;
+    if (contractId && !getContract(gameState, contractId)) return sendJSON(res, 400, { error: 'Unknown contract' });
+    const rows = exportRows(gameState, kind, contractId);
+    const columns = kind === 'tournament' ? tournamentColumns(room.gameState) : EXPORT_COLUMNS[kind];
+    if (format === 'csv') return sendCSV(res, `${room.name}-${kind}.csv`, toCSV(columns, rows));
+    return sendJSON(res, 200, { [kind]: rows });
+  }
+
+  // API: rebuild the book and positions at a past point (admin only) - ?turn=<n> or ?ts=<ms|ISO date>, optional &contract=<id>
+  if (req.method === 'GET' && pathname === '/api/history') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    const { gameState } = room;
+    if ((query.turn === undefined) === (query.ts === undefined)) return sendJSON(res, 400, { error: 'Give either turn or ts' });
+    let at;
+    if (query.turn !== undefined) {
+      const turn = Number(query.turn);
+      if (!Number.isInteger(turn) || turn < 0 || turn > gameState.turnCount) {
+        return sendJSON(res, 400, { error: `Turn must be between 0 and ${gameState.turnCount}` });
+      }
+      at = { turn };
+    } else {
+      const ts = /^\d+$/.test(query.ts) ? Number(query.ts) : Date.parse(query.ts);
+      if (!Number.isFinite(ts)) return sendJSON(res, 400, { error: 'Invalid timestamp' });
+      at = { ts };
+    }
+    const contractId = query.contract || null;
+    if (contractId && !getContract(gameState, contractId)) return sendJSON(res, 400, { error: 'Unknown contract' });
+    return sendJSON(res, 200, rebuildAt(gameState, at, contractId));
+  }
+
+  // API: summary report (admin only) - CSV gives one summary line per contract
+  if (req.method === 'GET' && pathname === '/api/report') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    const format = query.format || 'json';
+    if (format !== 'json' && format !== 'csv') return sendJSON(res, 400, { error: 'Format must be csv or json' });
+    const report = buildReport(room.gameState);
+    if (format === 'csv') return sendCSV(res, `${room.name}-report.csv`, toCSV(REPORT_COLUMNS, report.contracts));
+    return sendJSON(res, 200, report);
+  }
+
+  // API: bot strategies and assignments (admin only)
+  if (req.method === 'GET' && pathname === '/api/bots') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    const strategies = {};
+    for (const key of Object.keys(BOT_STRATEGIES)) {
+      strategies[key] = { label: BOT_STRATEGIES[key].label, defaults: { ...COMMON_BOT_PARAMS, ...BOT_STRATEGIES[key].defaults } };
+    }
+    return sendJSON(res, 200, { strategies, bots: room.gameState.bots });
+  }
+
+  // API: assign a strategy to a dummy player (admin only) - strategy null/'' makes it hand-traded again
+  if (req.method === 'POST' && pathname === '/api/setBot') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const { name, strategy, params } = await readBody(req);
+      const player = getPlayer(room.gameState, name);
+      if (!player) return sendJSON(res, 400, { error: 'Player not found' });
+      if (!player.isDummy) return sendJSON(res, 400, { error: 'Player is not a dummy player' });
+      if (!strategy) {
+        commit(room, 'setBot', { name, strategy: null, params: null }, 'admin');
+      } else {
+        if (!Object.prototype.hasOwnProperty.call(BOT_STRATEGIES, strategy)) {
+          return sendJSON(res, 400, { error: 'Unknown strategy', strategies: Object.keys(BOT_STRATEGIES) });
+        }
+        const result = normalizeBotParams(strategy, params);
+        if (result.error) return sendJSON(res, 400, result);
+        if (!getContract(room.gameState, result.params.contractId)) return sendJSON(res, 400, { error: 'Unknown contract' });
+        commit(room, 'setBot', { name, strategy, params: result.params }, 'admin');
+      }
+      sendJSON(res, 200, { ok: true, bot: room.gameState.bots[name] || null });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: change some of a bot's parameters (admin only)
+  if (req.method === 'POST' && pathname === '/api/setBotParams') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
     try {
-      gameState.currentTurnIndex = -1;
-      version++;
+      const { name, params } = await readBody(req);
+      const bot = typeof name === 'string' && Object.hasOwn(room.gameState.bots, name) ? room.gameState.bots[name] : null;
+      if (!bot) return sendJSON(res, 400, { error: 'Not a bot' });
+      const result = normalizeBotParams(bot.strategy, params, bot.params);
+      if (result.error) return sendJSON(res, 400, result);
+      if (!getContract(room.gameState, result.params.contractId)) return sendJSON(res, 400, { error: 'Unknown contract' });
+      commit(room, 'setBot', { name, strategy: bot.strategy, params: result.params }, 'admin');
+      sendJSON(res, 200, { ok: true, bot: room.gameState.bots[name] });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: set risk limits (admin only) - every field null (no limit) or a number; omitted fields are unchanged
+  if (req.method === 'POST' && pathname === '/api/setRiskLimits') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const body = await readBody(req);
+      const limits = { ...room.gameState.riskLimits };
+      for (const key of Object.keys(NO_RISK_LIMITS)) {
+        if (body[key] === undefined) continue;
+        const value = body[key];
+        const valid = value === null || (key === 'minCash' ? Number.isFinite(value) : Number.isInteger(value) && value > 0);
+        if (!valid) {
+          return sendJSON(res, 400, { error: key === 'minCash' ? 'minCash must be a number or null' : `${key} must be a positive integer or null` });
+        }
+        limits[key] = value;
+      }
+      commit(room, 'setRiskLimits', { limits }, 'admin');
+      sendJSON(res, 200, { ok: true, riskLimits: room.gameState.riskLimits });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: set game rules (admin only) - omitted fields are unchanged; see DEFAULT_RULES
+  if (req.method === 'POST' && pathname === '/api/setRules') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const body = await readBody(req);
+      const rules = { ...room.gameState.rules };
+      for (const key of Object.keys(DEFAULT_RULES)) {
+        if (body[key] !== undefined) rules[key] = body[key];
+      }
+      const error = validateRules(rules);
+      if (error) return sendJSON(res, 400, { error });
+      commit(room, 'setRules', { rules }, 'admin');
+      sendJSON(res, 200, { ok: true, rules: room.gameState.rules });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: tournament standings (public - round results are settled P&L, which is public anyway)
+  if (req.method === 'GET' && pathname === '/api/tournament') {
+    const { tournament } = room.gameState;
+    if (!tournament) return sendJSON(res, 404, { error: 'No tournament running' });
+    return sendJSON(res, 200, { round: tournament.round, rounds: tournament.rounds, table: tournamentTable(room.gameState) });
+  }
+
+  // API: start a tournament (admin only) - the current game becomes round 1
+  if (req.method === 'POST' && pathname === '/api/startTournament') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    if (room.gameState.tournament) return sendJSON(res, 400, { error: 'A tournament is already running - reset to end it' });
+    try {
+      commit(room, 'startTournament', {}, 'admin');
+      sendJSON(res, 200, { ok: true, tournament: room.gameState.tournament });
+      broadcastEvents(room);
+    } catch (e) { sendServerError(res, e); }
+    return;
+  }
+
+  // API: start the next tournament round (admin only) - { values: { name: n }, randomMax } gives every
+  // player a new secret value, taken from values or drawn from 0..randomMax
+  if (req.method === 'POST' && pathname === '/api/nextRound') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const { gameState } = room;
+      const { values = {}, randomMax = DEFAULT_ROUND_RANDOM_MAX } = await readBody(req);
+      if (!gameState.tournament) return sendJSON(res, 400, { error: 'No tournament running' });
+      if (!isRoundSettled(gameState)) return sendJSON(res, 400, { error: 'Settle every contract to finish this round first' });
+      if (!Number.isInteger(randomMax) || randomMax < 0 || randomMax > MAX_SIBLING_COUNT) {
+        return sendJSON(res, 400, { error: `randomMax must be a whole number from 0 to ${MAX_SIBLING_COUNT}` });
+      }
+      if (typeof values !== 'object' || values === null) return sendJSON(res, 400, { error: 'values must be an object' });
+      const roundValues = {};
+      for (const name of Object.keys(gameState.players)) {
+        if (values[name] === undefined) {
+          roundValues[name] = crypto.randomInt(randomMax + 1);
+          continue;
+        }
+        if (!Number.isInteger(values[name]) || values[name] < 0 || values[name] > MAX_SIBLING_COUNT) {
+          return sendJSON(res, 400, { error: `Invalid value for ${name}` });
+        }
+        roundValues[name] = values[name];
+      }
+      commit(room, 'nextRound', { values: roundValues }, 'admin');
+      sendJSON(res, 200, { ok: true, round: gameState.tournament.round });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: audit log of admin actions (admin only)
+  if (req.method === 'GET' && pathname === '/api/audit') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    return sendJSON(res, 200, { entries: auditView(room) });
+  }
+
+  // API: undo admin actions (admin only) - { count } goes back to just before the count-th last admin
+  // action that can be undone, { auditId } to just before that entry; either way every change since
+  // then (players' too) is undone
+  if (req.method === 'POST' && pathname === '/api/undo') {
+    if (!checkAdminAuth(room, req)) return unauthorized(res);
+    try {
+      const { count, auditId } = await readBody(req);
+      let entry;
+      if (auditId !== undefined) {
+        entry = room.auditLog.find(e => e.id === auditId);
+      } else {
+        // count steps back over audit entries: 1 undoes the last admin action, 2 the last two, ...
+        const n = count === undefined ? 1 : count;
+        if (!Number.isInteger(n) || n < 1) return sendJSON(res, 400, { error: 'count must be a positive integer' });
+        entry = room.auditLog[room.auditLog.length - n];
+      }
+      if (!entry) return sendJSON(res, 400, { error: 'No such admin action' });
+      if (!room.restorePoints.some(point => point.auditId === entry.id)) {
+        return sendJSON(res, 400, {
+          error: `Admin action #${entry.id} (${entry.type}) cannot be undone: only the last ${MAX_RESTORE_POINTS} resets, settlements, rounds, contract and rule changes can`,
+          actions: [...RESTORE_POINT_ACTIONS],
+        });
+      }
+      const undone = room.version - entry.version + 1;
+      const reverted = room.auditLog.filter(e => e.id >= entry.id).map(e => ({ id: e.id, type: e.type }));
+      commit(room, 'restoreSnapshot', { auditId: entry.id }, 'admin');
+      sendJSON(res, 200, { ok: true, restoredTo: entry.id, undone, reverted });
+      broadcastEvents(room);
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: list rooms (server admin only, unprefixed route)
+  if (!roomMatch && req.method === 'GET' && pathname === '/api/rooms') {
+    if (!checkServerAdminAuth(req)) return unauthorized(res);
+    const list = [...rooms.values()].map(r => ({
+      name: r.name,
+      players: Object.keys(r.gameState.players).length,
+      contracts: Object.keys(r.gameState.contracts).length,
+      sseClients: r.sseClients.size,
+      wsClients: r.wsClients.size,
+      version: r.version,
+      clientUrl: `${roomPath(r)}/client`,
+      adminUrl: `${roomPath(r)}/admin`,
+      spectatorUrl: `${roomPath(r)}/spectate`,
+    }));
+    return sendJSON(res, 200, { rooms: list });
+  }
+
+  // API: create room (server admin only) - returns the new room's admin token
+  if (!roomMatch && req.method === 'POST' && pathname === '/api/createRoom') {
+    if (!checkServerAdminAuth(req)) return unauthorized(res);
+    try {
+      const { name } = await readBody(req);
+      if (typeof name !== 'string' || !ROOM_NAME_PATTERN.test(name)) {
+        return sendJSON(res, 400, { error: 'Room name must be 1-32 letters, digits, - or _' });
+      }
+      if (rooms.has(name)) return sendJSON(res, 400, { error: `Room ${name} already exists` });
+      const adminToken = generateToken();
+      commit(null, 'createRoom', { name, adminToken });
+      const created = rooms.get(name);
+      log('info', 'ROOM', `Created ${name}`, { room: name, adminToken: REDACTED });
+      sendJSON(res, 200, { ok: true, name, adminToken, clientUrl: `${roomPath(created)}/client`, adminUrl: `${roomPath(created)}/admin`, spectatorUrl: `${roomPath(created)}/spectate` });
+    } catch (e) { sendBodyError(res, e); }
+    return;
+  }
+
+  // API: close room (server admin only) - disconnects its SSE clients and discards its game
+  if (!roomMatch && req.method === 'POST' && pathname === '/api/closeRoom') {
+    if (!checkServerAdminAuth(req)) return unauthorized(res);
+    try {
+      const { name } = await readBody(req);
+      if (name === DEFAULT_ROOM) return sendJSON(res, 400, { error: 'The default room cannot be closed' });
+      if (typeof name !== 'string' || !rooms.has(name)) return sendJSON(res, 404, { error: 'Room not found' });
+      commit(null, 'closeRoom', { name });
+      log('info', 'ROOM', `Closed ${name}`, { room: name });
       sendJSON(res, 200, { ok: true });
-      broadcastState();
-    } catch (e) { sendJSON(res, 500, { error: e.message }); }
+    } catch (e) { sendBodyError(res, e); }
     return;
   }
 
   // Fallback
+  routed = false;
   notFound(res);
-});
-
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`Order Book Game server running on http://0.0.0.0:${PORT}`);
-  console.log('\n📋 URLs:');
-  console.log(`  Players (public):     /client  or  /`);
-  console.log(`  Admin (token-protected): /admin`);
-  console.log('\n🔐 To access admin, use the token above in the login form or append ?token=<TOKEN> to the URL');
-});
+}
+
+// --- Startup ---
+// Only when run directly (node server.js); the tests require this file for the game logic
+function startServer() {
+  printAdminToken();
+  // Whatever a route does not catch itself is still answered, rather than left as an unhandled rejection
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(e => sendServerError(res, e));
+  });
+
+  replayJournal();
+
+  setInterval(() => {
+    for (const room of rooms.values()) runTurnClock(room);
+  }, TURN_CLOCK_TICK_MS);
+
+  server.on('upgrade', handleUpgrade);
+
+  setInterval(() => {
+    for (const room of rooms.values()) runBots(room);
+  }, BOT_TICK_MS);
+
+  setInterval(() => {
+    for (const room of rooms.values()) runRevealSchedule(room);
+  }, REVEAL_TICK_MS);
+
+  setInterval(pruneRateBuckets, RATE_BUCKET_PRUNE_MS);
+
+  server.listen(PORT, '0.0.0.0', () => {
+    if (LOG_FORMAT === 'json') {
+      log('info', 'SERVER', `Order Book Game server running on http://0.0.0.0:${PORT}`, { port: PORT, stateFile: STATE_FILE, logLevel: LOG_LEVEL });
+      return;
+    }
+    console.log(`Order Book Game server running on http://0.0.0.0:${PORT}`);
+    console.log('\n📋 URLs:');
+    console.log(`  Players (public):     /client  or  /`);
+    console.log(`  Admin (token-protected): /admin`);
+    console.log(`  Spectators (projector): /spectate`);
+    console.log(`  Other rooms:          /r/<room>/client  and  /r/<room>/admin  (create rooms from the admin page)`);
+    console.log(`  WebSocket (bots):     /api/ws  or  /r/<room>/api/ws`);
+    console.log(`  Monitoring:           /healthz  and  /metrics (Prometheus text format)`);
+    console.log('\n🔐 To access admin, use the token above in the login form or append ?token=<TOKEN> to the URL');
+    if (STATE_FILE) console.log(`💾 Journaling game state to ${STATE_FILE}`);
+  });
+}
+
+if (require.main === module) startServer();
+
+module.exports = {
+  createInitialState,
+  createContract,
+  updatePosition,
+  getUnrealizedPnL,
+  settleContract,
+  matchOrders,
+  checkRiskLimits,
+  getContractPnL,
+  getPortfolioPnL,
+};